@@ -0,0 +1,78 @@
+const { ethers } = require('ethers');
+
+// Validate an uploaded ABI (a JSON array or a string holding one) and return it
+// as an ethers Interface. Throws with a readable message when it isn't usable.
+function parseAbi(abi) {
+  let fragments = abi;
+  if (typeof abi === 'string') {
+    try {
+      fragments = JSON.parse(abi);
+    } catch (error) {
+      throw new Error('ABI is not valid JSON');
+    }
+  }
+  if (!Array.isArray(fragments) || fragments.length === 0) {
+    throw new Error('ABI must be a non-empty JSON array');
+  }
+  return new ethers.utils.Interface(fragments);
+}
+
+// Decoded values as JSON: BigNumbers become decimal strings, tuples and arrays
+// are decoded recursively using their component types
+function formatValue(param, value) {
+  if (param.baseType === 'array') {
+    return value.map(item => formatValue(param.arrayChildren, item));
+  }
+  if (param.baseType === 'tuple') {
+    return formatArgs(param.components, value);
+  }
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  return value;
+}
+
+// Pair decoded values with their ABI parameters; unnamed parameters keep a null name
+function formatArgs(params, values) {
+  return params.map((param, index) => ({
+    name: param.name || null,
+    type: param.format(ethers.utils.FormatTypes.sighash),
+    value: formatValue(param, values[index])
+  }));
+}
+
+// Decode a transaction's calldata against an Interface, or null if no function matches
+function decodeFunctionCall(iface, tx) {
+  try {
+    const parsed = iface.parseTransaction({ data: tx.data, value: tx.value });
+    return {
+      name: parsed.name,
+      signature: parsed.signature,
+      selector: parsed.sighash,
+      args: formatArgs(parsed.functionFragment.inputs, parsed.args)
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Decode an event log against an Interface, or null if no event matches
+function decodeLog(iface, log) {
+  try {
+    const parsed = iface.parseLog(log);
+    return {
+      name: parsed.name,
+      signature: parsed.signature,
+      args: formatArgs(parsed.eventFragment.inputs, parsed.args)
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  parseAbi,
+  formatArgs,
+  decodeFunctionCall,
+  decodeLog
+};
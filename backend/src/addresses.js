@@ -0,0 +1,42 @@
+const { ethers } = require('ethers');
+
+// Column added next to an address column: from_address -> from_<suffix>, address -> <suffix>
+function annotationColumnFor(column, suffix) {
+  if (column === 'address') return suffix;
+  if (column.endsWith('_address')) return column.replace(/_address$/, `_${suffix}`);
+  return null;
+}
+
+// Copy rows, adding a <suffix> column after each address column. lookup gets the
+// distinct checksummed addresses found and resolves to a Map of address -> value;
+// addresses it has no value for (and non-address values) get null. A column the
+// row already has is left as it is.
+async function annotateAddressColumns(rows, suffix, lookup) {
+  const addresses = new Set();
+  for (const row of rows) {
+    for (const [column, value] of Object.entries(row)) {
+      if (annotationColumnFor(column, suffix) && typeof value === 'string' && ethers.utils.isAddress(value)) {
+        addresses.add(ethers.utils.getAddress(value));
+      }
+    }
+  }
+  const values = addresses.size > 0 ? await lookup(Array.from(addresses)) : new Map();
+
+  return rows.map(row => {
+    const annotated = {};
+    for (const [column, value] of Object.entries(row)) {
+      annotated[column] = value;
+      const annotationColumn = annotationColumnFor(column, suffix);
+      if (annotationColumn && !(annotationColumn in row)) {
+        annotated[annotationColumn] = typeof value === 'string' && ethers.utils.isAddress(value)
+          ? values.get(ethers.utils.getAddress(value)) ?? null
+          : null;
+      }
+    }
+    return annotated;
+  });
+}
+
+module.exports = {
+  annotateAddressColumns
+};
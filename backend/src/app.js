@@ -2,6 +2,9 @@ const express = require('express');
 const cors = require('cors');
 const TransactionDatabase = require('./database');
 const BlockchainService = require('./blockchain');
+const BackfillManager = require('./backfill');
+const { EnsResolver } = require('./ens');
+const { closeRecording } = require('./replay');
 const createRoutes = require('./routes');
 const config = require('./config');
 
@@ -9,7 +12,9 @@ class EthsphereApp {
   constructor() {
     this.app = express();
     this.database = null;
-    this.blockchainService = null;
+    this.blockchainServices = new Map(); // network name -> BlockchainService
+    this.backfillManager = null;
+    this.ensResolver = null;
   }
 
   async initialize() {
@@ -19,9 +24,13 @@ class EthsphereApp {
       this.database = new TransactionDatabase();
       await this.database.initialize();
 
-      // Initialize blockchain service
-      console.log('Initializing blockchain service...');
-      this.blockchainService = new BlockchainService(this.database);
+      // Initialize one blockchain service per network
+      console.log(`Initializing blockchain services for ${config.networks.map(n => n.name).join(', ')}...`);
+      for (const network of config.networks) {
+        this.blockchainServices.set(network.name, new BlockchainService(this.database, network));
+      }
+      this.backfillManager = new BackfillManager(this.blockchainServices, this.database);
+      this.ensResolver = new EnsResolver(this.database, this.blockchainServices.get(config.ensNetwork));
 
       // Setup Express middleware
       this.setupMiddleware();
@@ -34,10 +43,13 @@ class EthsphereApp {
 
       // Schedule periodic database pruning to bound storage
       if (config.maxDbRows && config.pruneIntervalMs) {
-        console.log(`Enabling DB pruning: keep last ${config.maxDbRows} rows every ${config.pruneIntervalMs}ms`);
+        console.log(`Enabling DB pruning: keep last ${config.maxDbRows} rows per network every ${config.pruneIntervalMs}ms`);
         this.pruneInterval = setInterval(async () => {
           try {
-            await this.database.pruneOldTransactions(config.maxDbRows);
+            for (const name of this.blockchainServices.keys()) {
+              await this.database.pruneOldTransactions(name, config.maxDbRows);
+            }
+            await this.database.pruneMempoolSightings(config.mempoolRetentionMs);
           } catch (err) {
             console.warn('DB prune failed:', err.message);
           }
@@ -45,7 +57,12 @@ class EthsphereApp {
       }
 
       // Start blockchain fetching
-      this.blockchainService.startFetching();
+      for (const service of this.blockchainServices.values()) {
+        if (config.rpcMode === 'replay') {
+          await service.rewindForReplay();
+        }
+        service.startFetching();
+      }
 
       console.log('Application initialized successfully');
     } catch (error) {
@@ -103,10 +120,10 @@ class EthsphereApp {
 
   setupRoutes() {
     // API routes
-    this.app.use('/api', createRoutes(this.blockchainService, this.database));
+    this.app.use('/api', createRoutes(this.blockchainServices, this.database, this.backfillManager, this.ensResolver));
     
     // Legacy routes (without /api prefix for backward compatibility)
-    this.app.use('/', createRoutes(this.blockchainService, this.database));
+    this.app.use('/', createRoutes(this.blockchainServices, this.database, this.backfillManager, this.ensResolver));
 
     // Root endpoint
     this.app.get('/', (req, res) => {
@@ -114,17 +131,91 @@ class EthsphereApp {
         name: 'Ethsphere Backend API',
         version: '2.0.0',
         description: 'Ethereum transaction tracking and analytics API',
+        networks: Array.from(this.blockchainServices.keys()),
+        defaultNetwork: config.network,
+        note: 'Every endpoint accepts ?network= (or "network" in a JSON body); it defaults to defaultNetwork. :address params also accept ENS names',
         endpoints: {
           health: '/health',
+          networks: '/networks',
           transactions: {
             recent: '/transactions/recent?limit=100',
             byAddress: '/transactions/address/:address?limit=100',
             stats: '/transactions/stats',
-            query: 'POST /query'
+            logs: '/logs?address=&topic0=&fromBlock=&toBlock=&limit=100',
+            internalTransfers: '/internal-transfers?address=&tx=&fromBlock=&toBlock=&limit=100',
+            tokenTransfers: '/tokens/:address/transfers?limit=100',
+            topTokens: '/tokens/top?limit=10&fromBlock=',
+            nftCollection: '/nfts/collections/:address?limit=100',
+            nftsByAddress: '/nfts/address/:address?limit=100',
+            query: 'POST /query { sql, params, labels, resolveNames }'
+          },
+          blocks: {
+            recent: '/blocks?limit=100',
+            byNumber: '/blocks/:number'
+          },
+          withdrawals: {
+            byAddress: '/withdrawals/address/:address?limit=100&fromBlock=&toBlock=',
+            topAddresses: '/withdrawals/addresses?limit=10&fromBlock=&toBlock=',
+            perBlock: '/withdrawals/blocks?limit=100&fromBlock=&toBlock=',
+            byBlock: '/withdrawals/blocks/:number'
+          },
+          prices: {
+            list: '/prices?asset=&limit=100',
+            byAsset: '/prices/:asset?at='
+          },
+          blobs: {
+            perBlock: '/blobs/blocks?limit=100',
+            senders: '/blobs/senders?limit=10&fromBlock='
+          },
+          ingestion: {
+            status: '/ingestion/status',
+            reorgs: '/reorgs?limit=100'
+          },
+          mempool: {
+            pending: '/mempool/pending?limit=100',
+            stats: '/mempool/stats?fromBlock='
+          },
+          labels: {
+            list: '/labels?entity=&category=&limit=100',
+            entities: '/labels/entities',
+            byAddress: '/labels/:address'
+          },
+          addresses: {
+            type: '/address/:address',
+            contracts: '/contracts?deployer=&limit=100'
+          },
+          ens: {
+            lookup: '/ens/:address'
+          },
+          signatures: {
+            lookup: '/signatures/:selector'
+          },
+          abis: {
+            list: '/abis?limit=100',
+            byAddress: '/abis/:address'
+          },
+          admin: {
+            startBackfill: 'POST /admin/backfill { fromBlock, toBlock, network }',
+            backfillJobs: '/admin/backfill',
+            backfillJob: '/admin/backfill/:id',
+            cancelBackfill: 'POST /admin/backfill/:id/cancel',
+            providerHealth: '/admin/providers/health',
+            pauseIngestion: 'POST /admin/ingestion/pause { reason, network }',
+            resumeIngestion: 'POST /admin/ingestion/resume { network }',
+            ingestionInterval: 'PUT /admin/ingestion/interval { intervalMs, network }',
+            labelAddress: 'PUT /admin/labels/:address { label, entity, category }',
+            deleteLabel: 'DELETE /admin/labels/:address',
+            importLabels: 'POST /admin/labels/import (text/csv body, or { labels: [...] } / { csv })',
+            uploadAbi: 'PUT /admin/abis/:address { abi, name }',
+            deleteAbi: 'DELETE /admin/abis/:address',
+            importSignatures: 'POST /admin/signatures { signatures: ["transfer(address,uint256)", ...] }',
+            importPrices: 'POST /admin/prices/import (text/csv body, or { prices: [...] } / { csv })',
+            readChainlinkPrices: 'POST /admin/prices/chainlink { blockNumber }'
           },
           blockchain: {
             pendingQueue: '/pending-queue?n=100',
             transaction: '/tx/:hash',
+            decodedTransaction: '/tx/:hash/decoded',
             balance: '/balance/:address'
           }
         }
@@ -165,14 +256,20 @@ class EthsphereApp {
   async shutdown() {
     console.log('Shutting down application...');
     
-    if (this.blockchainService) {
-      this.blockchainService.stopFetching();
+    for (const service of this.blockchainServices.values()) {
+      service.stopFetching();
+    }
+
+    if (this.backfillManager) {
+      this.backfillManager.cancelAll();
     }
 
     if (this.pruneInterval) {
       clearInterval(this.pruneInterval);
       this.pruneInterval = null;
     }
+
+    await closeRecording();
     
     if (this.database) {
       this.database.close();
@@ -0,0 +1,171 @@
+const config = require('./config');
+
+// Keep only the most recent per-block errors on each job
+const MAX_JOB_ERRORS = 50;
+
+// Error carrying the HTTP status the route should respond with
+function requestError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class BackfillManager {
+  // blockchainServices maps each network name to its BlockchainService
+  constructor(blockchainServices, database) {
+    this.blockchainServices = blockchainServices;
+    this.database = database;
+
+    // In-memory job registry (jobs do not survive a restart)
+    this.jobs = new Map();
+    this.nextJobId = 1;
+  }
+
+  // Validate a block range and start a backfill job for it in the background
+  startJob(network, fromBlock, toBlock) {
+    if (!this.blockchainServices.has(network)) {
+      throw requestError(400, `Unknown network: ${network}`);
+    }
+
+    if (!Number.isInteger(fromBlock) || !Number.isInteger(toBlock) || fromBlock < 0 || toBlock < fromBlock) {
+      throw requestError(400, 'fromBlock and toBlock must be non-negative integers with fromBlock <= toBlock');
+    }
+
+    const blockCount = toBlock - fromBlock + 1;
+    if (blockCount > config.maxBackfillBlocks) {
+      throw requestError(400, `Backfill range too large: ${blockCount} blocks (max ${config.maxBackfillBlocks})`);
+    }
+
+    const running = this.listJobs().filter(job => job.status === 'running').length;
+    if (running >= config.maxConcurrentBackfills) {
+      throw requestError(409, `Too many running backfill jobs (max ${config.maxConcurrentBackfills})`);
+    }
+
+    const job = {
+      id: String(this.nextJobId++),
+      network,
+      fromBlock,
+      toBlock,
+      status: 'running',
+      totalBlocks: blockCount,
+      currentBlock: null,
+      ingestedBlocks: 0,
+      skippedBlocks: 0,
+      failedBlocks: 0,
+      errors: [],
+      cancelRequested: false,
+      startedAt: new Date(),
+      finishedAt: null
+    };
+    this.jobs.set(job.id, job);
+
+    console.log(`Starting backfill job ${job.id}: ${network} blocks ${fromBlock}-${toBlock}`);
+    this.runJob(job);
+
+    return this.describeJob(job);
+  }
+
+  async runJob(job) {
+    try {
+      const blockchainService = this.blockchainServices.get(job.network);
+      const storedBlocks = await this.database.getStoredBlockNumbers(job.network, job.fromBlock, job.toBlock);
+
+      for (let blockNumber = job.fromBlock; blockNumber <= job.toBlock; blockNumber++) {
+        if (job.cancelRequested) {
+          job.status = 'cancelled';
+          break;
+        }
+
+        job.currentBlock = blockNumber;
+
+        if (storedBlocks.has(blockNumber)) {
+          job.skippedBlocks++;
+          continue;
+        }
+
+        try {
+          await blockchainService.ingestBlock(blockNumber, { addToStack: false });
+          job.ingestedBlocks++;
+        } catch (error) {
+          job.failedBlocks++;
+          job.errors.push({ blockNumber, message: error.message, at: new Date().toISOString() });
+          if (job.errors.length > MAX_JOB_ERRORS) {
+            job.errors.shift();
+          }
+          console.warn(`Backfill job ${job.id} failed on block ${blockNumber}:`, error.message);
+        }
+
+        if (config.backfillDelayMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, config.backfillDelayMs));
+        }
+      }
+
+      if (job.status === 'running') {
+        job.status = job.failedBlocks > 0 ? 'completed_with_errors' : 'completed';
+      }
+    } catch (error) {
+      job.status = 'failed';
+      job.errors.push({ blockNumber: job.currentBlock, message: error.message, at: new Date().toISOString() });
+      console.error(`Backfill job ${job.id} failed:`, error);
+    } finally {
+      job.finishedAt = new Date();
+      console.log(`Backfill job ${job.id} ${job.status}: ${job.ingestedBlocks} ingested, ${job.skippedBlocks} skipped, ${job.failedBlocks} failed`);
+    }
+  }
+
+  // Request cancellation; the job stops before its next block
+  cancelJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    if (job.status === 'running') {
+      job.cancelRequested = true;
+    }
+    return this.describeJob(job);
+  }
+
+  cancelAll() {
+    for (const job of this.jobs.values()) {
+      if (job.status === 'running') {
+        job.cancelRequested = true;
+      }
+    }
+  }
+
+  getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? this.describeJob(job) : null;
+  }
+
+  // All jobs, or only those for one network
+  listJobs(network = null) {
+    return Array.from(this.jobs.values())
+      .filter(job => network === null || job.network === network)
+      .map(job => this.describeJob(job));
+  }
+
+  // Public view of a job with derived progress
+  describeJob(job) {
+    const processed = job.ingestedBlocks + job.skippedBlocks + job.failedBlocks;
+    return {
+      id: job.id,
+      network: job.network,
+      fromBlock: job.fromBlock,
+      toBlock: job.toBlock,
+      status: job.status,
+      cancelRequested: job.cancelRequested,
+      currentBlock: job.currentBlock,
+      totalBlocks: job.totalBlocks,
+      processedBlocks: processed,
+      ingestedBlocks: job.ingestedBlocks,
+      skippedBlocks: job.skippedBlocks,
+      failedBlocks: job.failedBlocks,
+      progress: job.totalBlocks > 0 ? processed / job.totalBlocks : 1,
+      errors: job.errors,
+      startedAt: job.startedAt.toISOString(),
+      finishedAt: job.finishedAt ? job.finishedAt.toISOString() : null
+    };
+  }
+}
+
+module.exports = BackfillManager;
@@ -0,0 +1,51 @@
+// EIP-4844 constants
+const GAS_PER_BLOB = 131072;
+const MIN_BASE_FEE_PER_BLOB_GAS = 1n;
+
+// Mainnet BLOB_BASE_FEE_UPDATE_FRACTION by fork activation timestamp (newest last):
+// Cancun, Prague (EIP-7691), then the Osaka blob-parameter-only forks BPO1 and BPO2
+const MAINNET_BLOB_FEE_SCHEDULE = [
+  { timestamp: 1710338135, updateFraction: 3338477n },
+  { timestamp: 1746612311, updateFraction: 5007716n },
+  { timestamp: 1765290071, updateFraction: 8346193n },
+  { timestamp: 1767747671, updateFraction: 11684671n }
+];
+
+// Update fraction in force at a block timestamp; a network's BLOB_BASE_FEE_UPDATE_FRACTION
+// overrides the mainnet schedule for other chains
+function getUpdateFraction(timestamp, override) {
+  if (override) {
+    return BigInt(override);
+  }
+
+  let fraction = MAINNET_BLOB_FEE_SCHEDULE[0].updateFraction;
+  for (const entry of MAINNET_BLOB_FEE_SCHEDULE) {
+    if (timestamp >= entry.timestamp) {
+      fraction = entry.updateFraction;
+    }
+  }
+  return fraction;
+}
+
+// Integer approximation of factor * e ** (numerator / denominator), as specified by EIP-4844
+function fakeExponential(factor, numerator, denominator) {
+  let i = 1n;
+  let output = 0n;
+  let numeratorAccum = factor * denominator;
+  while (numeratorAccum > 0n) {
+    output += numeratorAccum;
+    numeratorAccum = (numeratorAccum * numerator) / (denominator * i);
+    i += 1n;
+  }
+  return output / denominator;
+}
+
+// Blob base fee (wei per blob gas) for a block, derived from its excess blob gas
+function getBlobBaseFee(excessBlobGas, timestamp, updateFraction = null) {
+  return fakeExponential(MIN_BASE_FEE_PER_BLOB_GAS, BigInt(excessBlobGas), getUpdateFraction(timestamp, updateFraction));
+}
+
+module.exports = {
+  GAS_PER_BLOB,
+  getBlobBaseFee
+};
@@ -1,60 +1,148 @@
 const { ethers } = require('ethers');
 const config = require('./config');
+const {
+  parseEndpoint,
+  getEndpoints,
+  getSubscriptionEndpoint,
+  createProvider,
+  createSubscriptionProvider,
+  destroyProvider,
+  isRateLimitError,
+  isTransportError,
+  isUnsupportedMethodError
+} = require('./providers');
+const { decodeTokenTransfers, decodeNftTransfers } = require('./decoders');
+const { getMethodSelector } = require('./signatures');
+const { flattenCallTrace, flattenBlockTraces } = require('./traces');
+const { getBlobBaseFee } = require('./blobs');
+const { classifyCode } = require('./contracts');
+const { ETH_ASSET, aggregatorInterface, normalizeAsset } = require('./prices');
+const MempoolMonitor = require('./mempool');
+const RequestScheduler = require('./scheduler');
+const { recordProvider, getRecording } = require('./replay');
 
+// Name of the persisted cursor used by chain-tip ingestion
+const INGESTION_CURSOR = 'head';
+
+// Window over which the blocks-per-minute ingestion rate is measured
+const THROUGHPUT_WINDOW_MS = 60000;
+
+// Ingests one network; the app runs one service per entry in config.networks
 class BlockchainService {
-  constructor(database) {
+  constructor(database, network) {
     this.database = database;
+    this.network = network;
     
-    // API key rotation setup
-    this.apiKeys = config.infuraApiKeys;
-    this.currentKeyIndex = 0;
-    this.provider = new ethers.providers.InfuraProvider(config.network, this.apiKeys[this.currentKeyIndex]);
+    // RPC endpoints, one provider each, created on first use. The scheduler picks
+    // the endpoint for every request from their rate budgets and health.
+    this.endpoints = getEndpoints(network);
+    this.scheduler = new RequestScheduler(this.endpoints, network.name);
+    this.providers = [];
+    this.currentEndpointIndex = 0;
+    this.provider = this.getProvider(0);
+
+    // Endpoints (by label) that don't implement eth_getBlockReceipts
+    this.blockReceiptsUnsupported = new Set();
+
+    // decimals() of price feeds and tokens by address, read once
+    this.contractDecimals = new Map();
     
     // Transaction stack (for backward compatibility)
     this.pendingStack = [];
     this.fetchingEnabled = true;
+
+    // Ingestion progress
+    this.isIngesting = false;
+    this.headAnnouncedDuringRun = false;
+    this.headBlock = null;
+    this.cursorBlock = null;
+    this.lastIngestedAt = null;
+    this.lastError = null;
+    this.lastErrorAt = null;
+    this.recentIngestTimes = []; // when each block in the last THROUGHPUT_WINDOW_MS was stored
+
+    // Operator control (see pause/resume/setFetchInterval)
+    this.running = false;
+    this.paused = false;
+    this.pauseReason = null;
+    this.pausedAt = null;
+    this.fetchIntervalMs = config.fetchIntervalMs;
+
+    // newHeads subscription state (INGESTION_MODE=subscribe)
+    this.subscriptionEndpoint = null;
+    this.subscriptionProvider = null;
+    this.subscriptionActive = false;
+    this.isSubscribed = false;
+    this.reconnectAttempts = 0;
+
+    // Call tracing for internal transfers (TRACE_MODE), on TRACE_RPC_URL when set,
+    // otherwise on the regular endpoints. Turned off if the node lacks the method.
+    // In replay mode traces come from the recording like everything else.
+    this.traceEndpoint = network.traceMode !== 'off' && network.traceRpcUrl && config.rpcMode !== 'replay'
+      ? parseEndpoint(network.traceRpcUrl, network.name)
+      : null;
+    this.traceProvider = this.traceEndpoint ? this.createRecordedProvider(this.traceEndpoint) : null;
+    this.tracingUnsupported = false;
+
+    // Pending transaction feed (MEMPOOL_MODE), used to tell which mined transactions were seen first
+    this.mempoolMonitor = network.mempoolMode !== 'off' ? new MempoolMonitor(database, network) : null;
     
-    console.log(`Initialized with ${this.apiKeys.length} Infura API key(s)`);
+    console.log(`[${network.name}] Initialized with ${this.endpoints.length} RPC endpoint(s): ${this.endpoints.map(e => e.label).join(', ')}`);
+  }
+
+  get currentEndpoint() {
+    return this.endpoints[this.currentEndpointIndex];
   }
 
-  // Rotate to the next API key
-  rotateApiKey() {
-    if (this.apiKeys.length <= 1) {
-      console.warn('Only one API key available, cannot rotate');
-      return false;
+  getProvider(index) {
+    if (!this.providers[index]) {
+      this.providers[index] = this.createRecordedProvider(this.endpoints[index]);
     }
-    
-    this.currentKeyIndex = (this.currentKeyIndex + 1) % this.apiKeys.length;
-    const newApiKey = this.apiKeys[this.currentKeyIndex];
-    this.provider = new ethers.providers.InfuraProvider(config.network, newApiKey);
-    
-    console.log(`Rotated to API key ${this.currentKeyIndex + 1}/${this.apiKeys.length}`);
-    return true;
+    return this.providers[index];
   }
 
-  // Execute a provider method with automatic retry and key rotation
+  // In record mode (RPC_MODE=record) every response is also written to the recording
+  createRecordedProvider(endpoint) {
+    const provider = createProvider(endpoint);
+    return config.rpcMode === 'record' ? recordProvider(provider, this.network.name) : provider;
+  }
+
+  // Execute a provider method on the endpoint chosen by the scheduler, failing
+  // over to the other endpoints on transport errors
   async executeWithRetry(method, ...args) {
-    const maxRetries = this.apiKeys.length;
+    const maxRetries = this.endpoints.length;
+    const tried = new Set();
     let lastError;
     
     for (let attempt = 0; attempt < maxRetries; attempt++) {
+      const index = await this.scheduler.acquire(tried);
+      tried.add(index);
+      this.currentEndpointIndex = index;
+      this.provider = this.getProvider(index);
+      const startedAt = Date.now();
+
       try {
-        return await this.provider[method](...args);
+        const result = await this.provider[method](...args);
+        this.scheduler.recordSuccess(index, Date.now() - startedAt);
+        return result;
       } catch (error) {
         lastError = error;
         
-        // Check if error is rate limit related
-        const isRateLimitError = error.message?.includes('rate limit') || 
-                               error.message?.includes('429') ||
-                               error.code === 429 ||
-                               error.status === 429;
-        
-        if (isRateLimitError && attempt < maxRetries - 1) {
-          console.warn(`Rate limit hit on API key ${this.currentKeyIndex + 1}/${this.apiKeys.length}, rotating...`);
-          this.rotateApiKey();
-          // Brief delay before retry
-          await new Promise(resolve => setTimeout(resolve, 1000));
+        // Only endpoint failures are worth retrying elsewhere; bad requests fail everywhere
+        if (!isTransportError(error)) {
+          this.scheduler.recordSuccess(index, Date.now() - startedAt);
+          throw error;
+        }
+
+        const label = `RPC endpoint ${index + 1}/${this.endpoints.length} (${this.endpoints[index].label})`;
+        if (isRateLimitError(error)) {
+          const cooldownMs = this.scheduler.recordFailure(index, error, true);
+          console.warn(`Rate limit hit on ${label}, cooling down for ${cooldownMs}ms`);
         } else {
+          this.scheduler.recordFailure(index, error, false);
+          console.warn(`Transport error (${error.code || error.message}) on ${label}`);
+        }
+        if (attempt === maxRetries - 1) {
           throw error;
         }
       }
@@ -63,25 +151,48 @@ class BlockchainService {
     throw lastError;
   }
 
+  // Store transactions in the database
+  async storeTransactions(transactions) {
+    // Format transactions for database compatibility
+    const formattedTransactions = transactions.map(tx => ({
+      hash: tx.hash,
+      blockNumber: tx.blockNumber,
+      from: tx.from,
+      to: tx.to,
+      value: tx.value || '0',
+      gasPrice: tx.gasPrice || '0',
+      gasLimit: tx.gasLimit || 0,
+      nonce: tx.nonce || 0,
+      // Typed-transaction fields (EIP-2718/2930/1559); absent on legacy transactions
+      type: tx.type ?? 0,
+      maxFeePerGas: tx.maxFeePerGas,
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+      chainId: tx.chainId,
+      accessList: tx.accessList,
+      // Blob-carrying (EIP-4844, type 3) transaction fields
+      maxFeePerBlobGas: tx.maxFeePerBlobGas,
+      blobVersionedHashes: tx.blobVersionedHashes,
+      // Block timestamp in seconds, set by storeBlock
+      timestamp: tx.timestamp,
+      // Full calldata is large, so by default only its selector is kept
+      methodSelector: getMethodSelector(tx.data),
+      data: this.calldataToStore(tx.data)
+    }));
+
+    await this.database.insertTransactions(this.network.name, formattedTransactions);
+  }
+
+  // Full calldata only in CALLDATA_MODE=full, and only up to CALLDATA_MAX_BYTES
+  calldataToStore(data) {
+    if (config.calldataMode !== 'full' || !data) return '';
+    return ethers.utils.hexDataLength(data) <= config.calldataMaxBytes ? data : '';
+  }
+
   // Add transactions to stack and database
   async addToStack(transactions) {
     try {
-      // Format transactions for database compatibility
-      const formattedTransactions = transactions.map(tx => ({
-        hash: tx.hash,
-        blockNumber: tx.blockNumber,
-        from: tx.from,
-        to: tx.to,
-        value: tx.value || '0',
-        gasPrice: tx.gasPrice || '0',
-        gasLimit: tx.gasLimit || 0,
-        nonce: tx.nonce || 0,
-        // Avoid storing full calldata to reduce memory/disk usage
-        data: ''
-      }));
-      
       // Add to database
-      await this.database.insertTransactions(formattedTransactions);
+      await this.storeTransactions(transactions);
       
       // Add to in-memory stack for backward compatibility
       const hashes = transactions.map(tx => tx.hash);
@@ -95,26 +206,495 @@ class BlockchainService {
         this.fetchingEnabled = false;
       }
       
-      console.log(`[${new Date().toISOString()}] Added ${transactions.length} txs to database. Stack size: ${this.pendingStack.length}`);
+      console.log(`[${new Date().toISOString()}] [${this.network.name}] Added ${transactions.length} txs to database. Stack size: ${this.pendingStack.length}`);
     } catch (error) {
       console.error('Error adding transactions to stack/database:', error);
+      throw error;
     }
   }
 
-  // Fetch latest transactions from blockchain
-  async fetchLatestTransactions() {
-    if (!this.fetchingEnabled) return;
-    
+  // Fetch a block with its transactions (and their receipts, when enabled).
+  // The raw block is requested directly because ethers' formatter drops the
+  // EIP-4844 blob fields, which are copied back onto the formatted block.
+  async fetchBlock(blockNumber) {
+    const rawBlock = await this.executeWithRetry('send', 'eth_getBlockByNumber', [ethers.utils.hexValue(blockNumber), true]);
+    if (!rawBlock) {
+      throw new Error(`Block ${blockNumber} is not available yet`);
+    }
+
+    const block = this.provider.formatter.blockWithTransactions(rawBlock);
+    block.blobGasUsed = rawBlock.blobGasUsed != null ? ethers.BigNumber.from(rawBlock.blobGasUsed) : null;
+    block.excessBlobGas = rawBlock.excessBlobGas != null ? ethers.BigNumber.from(rawBlock.excessBlobGas) : null;
+    block.blobBaseFee = block.excessBlobGas
+      ? getBlobBaseFee(block.excessBlobGas.toString(), block.timestamp, this.network.blobBaseFeeUpdateFraction)
+      : null;
+    block.transactions.forEach((tx, index) => {
+      const rawTx = rawBlock.transactions[index];
+      tx.maxFeePerBlobGas = rawTx.maxFeePerBlobGas != null ? ethers.BigNumber.from(rawTx.maxFeePerBlobGas) : null;
+      tx.blobVersionedHashes = rawTx.blobVersionedHashes || null;
+    });
+
+    // Withdrawals are dropped by the formatter too; amounts are in gwei
+    if (config.ingestWithdrawals && Array.isArray(rawBlock.withdrawals)) {
+      block.withdrawals = rawBlock.withdrawals.map(withdrawal => ({
+        index: ethers.BigNumber.from(withdrawal.index).toNumber(),
+        validatorIndex: ethers.BigNumber.from(withdrawal.validatorIndex).toNumber(),
+        address: ethers.utils.getAddress(withdrawal.address),
+        amountGwei: ethers.BigNumber.from(withdrawal.amount).toString(),
+        blockNumber: block.number,
+        timestamp: block.timestamp
+      }));
+    }
+
+    if (config.ingestReceipts && block.transactions.length > 0) {
+      block.receipts = await this.fetchBlockReceipts(block);
+    }
+    if (config.trackContracts && block.receipts) {
+      block.deployments = await this.fetchDeployments(block);
+    }
+    // Classification is a cache, so a failed lookup is left for next time rather than holding up the block
+    if (config.trackContracts && block.transactions.length > 0) {
+      try {
+        block.addressTypes = await this.classifyAddresses(block);
+      } catch (error) {
+        console.warn(`[${this.network.name}] Failed to classify addresses in block ${block.number}:`, error.message);
+      }
+    }
+    if (this.network.traceMode !== 'off' && !this.tracingUnsupported && block.transactions.length > 0) {
+      block.internalTransfers = await this.fetchInternalTransfers(block);
+    }
+    // Prices are a sample, so a failed read is skipped rather than holding up the block
+    if (this.network.chainlinkFeeds.length > 0 && block.number % config.priceFeedIntervalBlocks === 0) {
+      try {
+        block.prices = await this.fetchChainlinkPrices(block);
+      } catch (error) {
+        console.warn(`[${this.network.name}] Failed to read Chainlink prices at block ${block.number}:`, error.message);
+      }
+    }
+    return block;
+  }
+
+  // USD prices from the configured Chainlink feeds as of a block
+  async fetchChainlinkPrices(block) {
+    return Promise.all(this.network.chainlinkFeeds.map(async (feed) => {
+      const asset = normalizeAsset(feed.asset);
+      const [feedDecimals, assetDecimals, result] = await Promise.all([
+        this.getContractDecimals(feed.address),
+        asset === ETH_ASSET ? 18 : this.getContractDecimals(asset),
+        this.executeWithRetry('call', {
+          to: feed.address,
+          data: aggregatorInterface.encodeFunctionData('latestRoundData')
+        }, block.number)
+      ]);
+      const { answer } = aggregatorInterface.decodeFunctionResult('latestRoundData', result);
+      return {
+        asset,
+        timestamp: block.timestamp * 1000,
+        priceUsd: Number(ethers.utils.formatUnits(answer, feedDecimals)),
+        decimals: assetDecimals,
+        blockNumber: block.number,
+        source: 'chainlink'
+      };
+    }));
+  }
+
+  async getContractDecimals(address) {
+    if (!this.contractDecimals.has(address)) {
+      const result = await this.executeWithRetry('call', {
+        to: address,
+        data: aggregatorInterface.encodeFunctionData('decimals')
+      });
+      this.contractDecimals.set(address, aggregatorInterface.decodeFunctionResult('decimals', result)[0]);
+    }
+    return this.contractDecimals.get(address);
+  }
+
+  // Read every configured feed at a block (default: the chain head) and store the prices
+  async recordChainlinkPrices(blockNumber = null) {
+    const block = await this.executeWithRetry('getBlock', blockNumber ?? 'latest');
+    if (!block) {
+      throw new Error(`Block ${blockNumber} is not available yet`);
+    }
+    const prices = await this.fetchChainlinkPrices(block);
+    await this.database.insertPrices(this.network.name, prices);
+    return prices;
+  }
+
+  // Contracts created by the block's transactions, with the hash of the runtime
+  // bytecode each one deployed. Failed deployments still report a contractAddress
+  // but leave no code, so only successful ones are kept. Runtime code doesn't
+  // change after deployment, so it's read at the head: reading it at the block
+  // would need an archive node for anything older than a few minutes. Code that
+  // can't be read (or is gone after a SELFDESTRUCT) leaves the hash NULL rather
+  // than holding up the block.
+  async fetchDeployments(block) {
+    const receipts = block.receipts.filter(receipt => receipt.contractAddress && receipt.status !== 0);
+    return Promise.all(receipts.map(async (receipt) => {
+      let code = null;
+      try {
+        code = await this.executeWithRetry('getCode', receipt.contractAddress);
+      } catch (error) {
+        console.warn(`[${this.network.name}] Failed to read code of contract ${receipt.contractAddress} deployed in block ${block.number}:`, error.message);
+      }
+      const { codeHash, codeSize } = classifyCode(code);
+      return {
+        address: receipt.contractAddress,
+        deployer: receipt.from,
+        transactionHash: receipt.transactionHash,
+        blockNumber: block.number,
+        type: 'contract',
+        codeHash,
+        codeSize: codeSize > 0 ? codeSize : null,
+        delegatedTo: null
+      };
+    }));
+  }
+
+  // EOA/contract classification of the addresses the block's transactions were
+  // sent to that aren't cached yet (deployments are classified with their code).
+  // Code is read at the head, like getAddressType, so the cache stays consistent.
+  async classifyAddresses(block) {
+    const deployed = new Set((block.deployments || []).map(deployment => deployment.address));
+    const candidates = [...new Set(block.transactions.map(tx => tx.to).filter(to => to && !deployed.has(to)))];
+    const classified = await this.database.getClassifiedAddresses(this.network.name, candidates, config.addressTypeCacheTtlMs);
+    const addresses = candidates.filter(address => !classified.has(address));
+
+    const addressTypes = [];
+    let failed = 0;
+    for (let i = 0; i < addresses.length; i += config.addressTypeBatchSize) {
+      const batch = addresses.slice(i, i + config.addressTypeBatchSize);
+      const codes = await Promise.all(batch.map(address => this.executeWithRetry('getCode', address).catch(() => null)));
+      codes.forEach((code, index) => {
+        if (code === null) {
+          failed++;
+          return;
+        }
+        addressTypes.push({ address: batch[index], ...classifyCode(code) });
+      });
+    }
+    if (failed > 0) {
+      console.warn(`[${this.network.name}] Could not read code for ${failed} address(es) in block ${block.number}; they'll be classified when seen again`);
+    }
+    return addressTypes;
+  }
+
+  // Trace every transaction in a block and keep the calls that moved ETH: one
+  // trace_block call in 'trace' mode, per-transaction debug_traceTransaction
+  // calls in batches in 'debug' mode. Returns null if tracing isn't supported.
+  async fetchInternalTransfers(block) {
+    const method = this.network.traceMode === 'trace' ? 'trace_block' : 'debug_traceTransaction';
+
     try {
-      const blockNumber = await this.executeWithRetry('getBlockNumber');
-      const block = await this.executeWithRetry('getBlockWithTransactions', blockNumber);
-      
-      if (block && block.transactions && block.transactions.length > 0) {
-        await this.addToStack(block.transactions);
+      if (method === 'trace_block') {
+        const traces = await this.sendTraceRequest(method, [ethers.utils.hexValue(block.number)]);
+        if (!Array.isArray(traces) || traces.some(trace => trace.blockHash && trace.blockHash !== block.hash)) {
+          throw new Error(`Traces for block ${block.number} don't match block ${block.hash}`);
+        }
+        return flattenBlockTraces(traces);
+      }
+
+      const transfers = [];
+      for (let i = 0; i < block.transactions.length; i += config.traceBatchSize) {
+        const batch = block.transactions.slice(i, i + config.traceBatchSize);
+        const frames = await Promise.all(
+          batch.map(tx => this.sendTraceRequest(method, [tx.hash, { tracer: 'callTracer' }]))
+        );
+        frames.forEach((frame, index) => {
+          transfers.push(...flattenCallTrace(batch[index].hash, block.number, frame));
+        });
       }
+      return transfers;
     } catch (error) {
-      console.error('Error fetching latest transactions:', error);
+      if (!isUnsupportedMethodError(error)) throw error;
+      const label = this.traceEndpoint ? this.traceEndpoint.label : this.currentEndpoint.label;
+      console.warn(`[${this.network.name}] ${method} not supported by ${label}; internal transfers disabled`);
+      this.tracingUnsupported = true;
+      return null;
+    }
+  }
+
+  sendTraceRequest(method, params) {
+    if (this.traceProvider) {
+      return this.traceProvider.send(method, params);
     }
+    return this.executeWithRetry('send', method, params);
+  }
+
+  // Fetch all receipts for a block: one eth_getBlockReceipts call where the
+  // endpoint supports it, otherwise per-transaction calls in batches
+  async fetchBlockReceipts(block) {
+    let receipts = null;
+
+    if (!this.blockReceiptsUnsupported.has(this.currentEndpoint.label)) {
+      try {
+        // Query by hash so the receipts can't come from a competing block at the same height
+        const rawReceipts = await this.executeWithRetry('send', 'eth_getBlockReceipts', [block.hash]);
+        if (Array.isArray(rawReceipts)) {
+          receipts = rawReceipts.map(receipt => this.provider.formatter.receipt(receipt));
+        }
+      } catch (error) {
+        if (!isUnsupportedMethodError(error)) throw error;
+        console.warn(`eth_getBlockReceipts not supported by ${this.currentEndpoint.label}, fetching receipts per transaction`);
+        this.blockReceiptsUnsupported.add(this.currentEndpoint.label);
+      }
+    }
+
+    if (!receipts) {
+      receipts = [];
+      for (let i = 0; i < block.transactions.length; i += config.receiptBatchSize) {
+        const batch = block.transactions.slice(i, i + config.receiptBatchSize);
+        const batchReceipts = await Promise.all(
+          batch.map(tx => this.executeWithRetry('getTransactionReceipt', tx.hash))
+        );
+        receipts.push(...batchReceipts);
+      }
+    }
+
+    // A missing or mismatched receipt means the block was replaced mid-fetch
+    if (receipts.length !== block.transactions.length || receipts.some(receipt => !receipt || receipt.blockHash !== block.hash)) {
+      throw new Error(`Receipts for block ${block.number} don't match block ${block.hash}`);
+    }
+    return receipts;
+  }
+
+  // Store receipts in the database
+  async storeReceipts(receipts) {
+    const formattedReceipts = receipts.map(receipt => ({
+      hash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      transactionIndex: receipt.transactionIndex,
+      status: receipt.status,
+      gasUsed: receipt.gasUsed,
+      cumulativeGasUsed: receipt.cumulativeGasUsed,
+      effectiveGasPrice: receipt.effectiveGasPrice,
+      contractAddress: receipt.contractAddress,
+      logsCount: receipt.logs ? receipt.logs.length : 0
+    }));
+
+    await this.database.insertReceipts(this.network.name, formattedReceipts);
+  }
+
+  // Store a fetched block and its transactions. Backfills pass addToStack: false
+  // so historical blocks don't flood the live pending stack.
+  async storeBlock(block, { addToStack = true } = {}) {
+    // Transactions carry the block's timestamp so it's stored as when they were mined
+    const transactions = (block.transactions || []).map(tx => ({ ...tx, timestamp: block.timestamp }));
+    if (transactions.length > 0) {
+      if (addToStack) {
+        await this.addToStack(transactions);
+      } else {
+        await this.storeTransactions(transactions);
+      }
+    }
+
+    if (block.receipts) {
+      await this.storeReceipts(block.receipts);
+      const logs = block.receipts.flatMap(receipt => receipt.logs || []);
+      if (config.ingestLogs) {
+        await this.database.insertLogs(this.network.name, logs);
+      }
+      if (config.decodeTokenTransfers) {
+        await this.database.insertTokenTransfers(this.network.name, decodeTokenTransfers(logs));
+      }
+      if (config.decodeNftTransfers) {
+        await this.database.insertNftTransfers(this.network.name, decodeNftTransfers(logs));
+      }
+    }
+
+    if (block.internalTransfers) {
+      await this.database.insertInternalTransfers(this.network.name, block.internalTransfers);
+    }
+
+    if (block.deployments) {
+      await this.database.insertContracts(this.network.name, block.deployments);
+    }
+
+    if (block.addressTypes) {
+      await this.database.upsertAddressTypes(this.network.name, block.addressTypes);
+    }
+
+    if (block.withdrawals) {
+      await this.database.insertWithdrawals(this.network.name, block.withdrawals);
+    }
+
+    if (block.prices) {
+      await this.database.insertPrices(this.network.name, block.prices);
+    }
+
+    // Match live blocks against the mempool feed, but only blocks mined while it
+    // was watching. Backfilled blocks, and blocks from before the feed started or
+    // while it was down or paused, keep seen_in_mempool NULL (unknown) rather than
+    // false, which would claim their transactions were private.
+    if (this.mempoolMonitor && addToStack && transactions.length > 0 && this.mempoolMonitor.coveredSince(block.timestamp * 1000)) {
+      await this.mempoolMonitor.flush();
+      await this.database.markMempoolInclusion(this.network.name, block.number);
+    }
+
+    // Record the block last, so it only counts as stored once its transactions are
+    await this.database.insertBlock(this.network.name, block);
+  }
+
+  // Fetch a block and store its transactions
+  async ingestBlock(blockNumber, options = {}) {
+    const block = await this.fetchBlock(blockNumber);
+    await this.storeBlock(block, options);
+    return block;
+  }
+
+  // Walk back from a block until the stored hash matches the canonical chain
+  async findCommonAncestor(fromBlock) {
+    for (let blockNumber = fromBlock; blockNumber >= 0 && fromBlock - blockNumber < config.maxReorgDepth; blockNumber--) {
+      const storedHash = await this.database.getBlockHash(this.network.name, blockNumber);
+      // Nothing stored to compare against, so this is as far back as we can roll
+      if (storedHash === null) {
+        return blockNumber;
+      }
+
+      const canonical = await this.executeWithRetry('getBlock', blockNumber);
+      if (canonical && canonical.hash === storedHash) {
+        return blockNumber;
+      }
+    }
+
+    throw new Error(`Reorg deeper than ${config.maxReorgDepth} blocks below block ${fromBlock + 1}`);
+  }
+
+  // Check a newly fetched tip block against the stored parent. On a mismatch, roll
+  // back to the common ancestor and return the reorg event; otherwise return null.
+  async handleReorg(block, cursor) {
+    const storedParentHash = await this.database.getBlockHash(this.network.name, block.number - 1);
+    if (storedParentHash === null || storedParentHash === block.parentHash) {
+      return null;
+    }
+
+    const commonAncestor = await this.findCommonAncestor(block.number - 2);
+    const reorg = await this.database.rollbackToBlock(this.network.name, INGESTION_CURSOR, commonAncestor, cursor, {
+      oldHeadHash: await this.database.getBlockHash(this.network.name, cursor),
+      newParentHash: block.parentHash,
+      detectedAtBlock: block.number
+    });
+
+    console.warn(`[${this.network.name}] Reorg detected at block ${block.number}: rolled back ${reorg.orphanedBlocks} block(s) and ${reorg.orphanedTransactions} transaction(s) to common ancestor ${commonAncestor}`);
+    return reorg;
+  }
+
+  // Ingest every block from the persisted cursor up to the chain head, in order.
+  // Subscriptions pass the announced head, which saves the getBlockNumber call.
+  async fetchLatestTransactions(announcedHead = null) {
+    if (!this.fetchingEnabled || this.paused) return;
+    if (this.isIngesting) {
+      // Picked up once the current run finishes, so announced heads aren't dropped
+      if (announcedHead !== null) this.headAnnouncedDuringRun = true;
+      return;
+    }
+    this.isIngesting = true;
+    this.headAnnouncedDuringRun = false;
+    let failed = false;
+
+    try {
+      const head = announcedHead ?? await this.executeWithRetry('getBlockNumber');
+      this.headBlock = head;
+
+      let cursor = await this.database.getCursor(this.network.name, INGESTION_CURSOR);
+      if (cursor === null) {
+        // First run: start at the configured block, or at the current head
+        cursor = (this.network.ingestStartBlock ?? head) - 1;
+      }
+      this.cursorBlock = cursor;
+
+      // Bound the work per tick so a long catch-up doesn't starve other requests
+      const target = Math.min(head, cursor + config.maxBlocksPerFetch);
+      if (target - cursor > 1) {
+        console.log(`[${this.network.name}] Catching up: ingesting blocks ${cursor + 1}-${target} (head ${head})`);
+      }
+
+      for (let blockNumber = cursor + 1; blockNumber <= target; blockNumber++) {
+        if (!this.fetchingEnabled || this.paused) break;
+
+        const block = await this.fetchBlock(blockNumber);
+
+        // On a reorg the cursor moves back to the common ancestor; the next
+        // tick re-ingests the canonical blocks from there
+        const reorg = await this.handleReorg(block, blockNumber - 1);
+        if (reorg) {
+          this.cursorBlock = reorg.commonAncestor;
+          break;
+        }
+
+        await this.storeBlock(block);
+        // Only advance the cursor once the whole block is stored
+        await this.database.setCursor(this.network.name, INGESTION_CURSOR, blockNumber);
+        this.cursorBlock = blockNumber;
+        this.lastIngestedAt = new Date();
+        this.recentIngestTimes.push(this.lastIngestedAt.getTime());
+      }
+    } catch (error) {
+      failed = true;
+      this.lastError = error.message;
+      this.lastErrorAt = new Date();
+      console.error(`[${this.network.name}] Error fetching latest transactions:`, error);
+    } finally {
+      this.isIngesting = false;
+    }
+
+    // Without a polling interval, keep going until caught up with the announced head
+    if (this.isSubscribed && !failed && (this.headAnnouncedDuringRun || this.cursorBlock < this.headBlock)) {
+      setImmediate(() => this.fetchLatestTransactions(this.headBlock));
+    }
+  }
+
+  // Why the chain tip isn't being ingested, or null while it is
+  getStopReason() {
+    if (this.paused) return 'paused';
+    if (!this.running) return 'stopped';
+    if (!this.fetchingEnabled) return 'stack_full';
+    return null;
+  }
+
+  // Blocks stored in the last minute
+  getBlocksPerMinute() {
+    const since = Date.now() - THROUGHPUT_WINDOW_MS;
+    this.recentIngestTimes = this.recentIngestTimes.filter(time => time >= since);
+    return this.recentIngestTimes.length * 60000 / THROUGHPUT_WINDOW_MS;
+  }
+
+  // Report ingestion progress relative to the chain head
+  async getIngestionStatus() {
+    const cursor = await this.database.getCursor(this.network.name, INGESTION_CURSOR);
+    const head = this.headBlock;
+
+    return {
+      cursor,
+      head,
+      lag: cursor !== null && head !== null ? head - cursor : null,
+      stopReason: this.getStopReason(),
+      paused: this.paused,
+      pauseReason: this.pauseReason,
+      pausedAt: this.pausedAt ? this.pausedAt.toISOString() : null,
+      fetchingEnabled: this.fetchingEnabled,
+      ingesting: this.isIngesting,
+      fetchIntervalMs: this.fetchIntervalMs,
+      lastBlock: cursor,
+      blocksPerMinute: this.getBlocksPerMinute(),
+      lastError: this.lastError,
+      lastErrorAt: this.lastErrorAt ? this.lastErrorAt.toISOString() : null,
+      provider: this.currentEndpoint.label,
+      network: this.network.name,
+      mode: this.network.ingestionMode,
+      source: this.isSubscribed ? 'subscription' : 'polling',
+      subscription: this.subscriptionEndpoint ? {
+        endpoint: this.subscriptionEndpoint.label,
+        connected: this.isSubscribed,
+        reconnectAttempts: this.reconnectAttempts
+      } : null,
+      lastIngestedAt: this.lastIngestedAt ? this.lastIngestedAt.toISOString() : null,
+      mempool: this.mempoolMonitor ? this.mempoolMonitor.getStatus() : null,
+      tracing: this.network.traceMode !== 'off' ? {
+        mode: this.network.traceMode,
+        endpoint: this.traceEndpoint ? this.traceEndpoint.label : this.currentEndpoint.label,
+        supported: !this.tracingUnsupported
+      } : null
+    };
   }
 
   // Get and remove transactions from stack (for backward compatibility)
@@ -144,6 +724,37 @@ class BlockchainService {
     }
   }
 
+  // Get a transaction receipt by hash (null while pending)
+  async getTransactionReceipt(hash) {
+    try {
+      return await this.executeWithRetry('getTransactionReceipt', hash);
+    } catch (error) {
+      throw new Error(`Failed to fetch transaction receipt: ${error.message}`);
+    }
+  }
+
+  // EOA or contract, from the address_types cache or an eth_getCode call
+  async getAddressType(address) {
+    const cached = await this.database.getAddressType(this.network.name, address, config.addressTypeCacheTtlMs);
+    if (cached) {
+      return {
+        type: cached.type,
+        codeHash: cached.code_hash,
+        codeSize: cached.code_size,
+        delegatedTo: cached.delegated_to,
+        checkedAt: cached.checked_at
+      };
+    }
+
+    try {
+      const classification = classifyCode(await this.executeWithRetry('getCode', address));
+      await this.database.upsertAddressType(this.network.name, address, classification);
+      return { ...classification, checkedAt: new Date() };
+    } catch (error) {
+      throw new Error(`Failed to fetch code: ${error.message}`);
+    }
+  }
+
   // Get ETH balance for address
   async getBalance(address) {
     try {
@@ -154,9 +765,80 @@ class BlockchainService {
     }
   }
 
+  // Every replay starts over at the first recorded block, so ingestion has to
+  // continue from just before it. A cursor left by an earlier run (or pointing
+  // outside the recording) would otherwise wait for blocks that never come.
+  // Blocks already stored from the same recording are simply stored again.
+  async rewindForReplay() {
+    const firstBlock = await getRecording().getFirstBlockNumber(this.network.name);
+    if (firstBlock === null) return;
+
+    const cursor = await this.database.getCursor(this.network.name, INGESTION_CURSOR);
+    if (cursor === firstBlock - 1) return;
+    if (cursor !== null) {
+      console.warn(`[${this.network.name}] Replay starts at recorded block ${firstBlock}; moving the ingestion cursor back from ${cursor}`);
+    }
+    await this.database.setCursor(this.network.name, INGESTION_CURSOR, firstBlock - 1);
+  }
+
   // Start the transaction fetching process
   startFetching() {
-    console.log(`Starting transaction fetching every ${config.fetchIntervalMs}ms`);
+    this.running = true;
+    if (this.network.ingestionMode === 'subscribe') {
+      this.subscribeToNewHeads();
+    } else {
+      this.startPolling();
+    }
+
+    if (this.mempoolMonitor) {
+      this.mempoolMonitor.start();
+    }
+  }
+
+  // Stop the transaction fetching process
+  stopFetching() {
+    this.running = false;
+    this.stopPolling();
+    this.unsubscribeFromNewHeads();
+
+    if (this.mempoolMonitor) {
+      this.mempoolMonitor.stop();
+    }
+  }
+
+  // Operator pause, e.g. during maintenance: stops ingestion (and the mempool
+  // feed) until resume(), including a run already in progress after its current block
+  pause(reason = null) {
+    if (!this.paused) {
+      console.log(`[${this.network.name}] Ingestion paused${reason ? `: ${reason}` : ''}`);
+      this.paused = true;
+      this.pausedAt = new Date();
+      this.stopFetching();
+    }
+    this.pauseReason = reason;
+  }
+
+  resume() {
+    if (!this.paused) return;
+    console.log(`[${this.network.name}] Ingestion resumed`);
+    this.paused = false;
+    this.pauseReason = null;
+    this.pausedAt = null;
+    this.startFetching();
+  }
+
+  // Change the polling interval; a running poller restarts on the new interval
+  setFetchInterval(intervalMs) {
+    this.fetchIntervalMs = intervalMs;
+    if (this.fetchInterval) {
+      this.stopPolling();
+      this.startPolling();
+    }
+  }
+
+  startPolling() {
+    if (this.fetchInterval) return;
+    console.log(`[${this.network.name}] Starting transaction fetching every ${this.fetchIntervalMs}ms`);
     
     // Initial fetch
     this.fetchLatestTransactions();
@@ -164,16 +846,101 @@ class BlockchainService {
     // Set up interval
     this.fetchInterval = setInterval(() => {
       this.fetchLatestTransactions();
-    }, config.fetchIntervalMs);
+    }, this.fetchIntervalMs);
   }
 
-  // Stop the transaction fetching process
-  stopFetching() {
+  stopPolling() {
     if (this.fetchInterval) {
       clearInterval(this.fetchInterval);
       this.fetchInterval = null;
     }
   }
+
+  // Ingest on newHeads announcements over WebSocket. While the socket is down,
+  // polling takes over and the subscription reconnects with exponential backoff.
+  subscribeToNewHeads() {
+    this.subscriptionEndpoint = getSubscriptionEndpoint(this.network);
+    if (!this.subscriptionEndpoint) {
+      console.warn(`[${this.network.name}] Subscription mode needs a WebSocket or Infura endpoint; falling back to polling`);
+      this.startPolling();
+      return;
+    }
+
+    this.subscriptionActive = true;
+    this.reconnectAttempts = 0;
+    this.connectSubscription();
+  }
+
+  connectSubscription() {
+    const endpoint = this.subscriptionEndpoint;
+    const provider = createSubscriptionProvider(endpoint);
+    this.subscriptionProvider = provider;
+
+    provider.websocket.addEventListener('open', () => {
+      console.log(`[${this.network.name}] Subscribed to new heads on ${endpoint.label}`);
+      this.isSubscribed = true;
+      this.reconnectAttempts = 0;
+      this.stopPolling();
+      this.resetStaleTimer();
+      // Catch up on anything announced while we were disconnected
+      this.fetchLatestTransactions();
+    });
+
+    provider.websocket.addEventListener('close', () => {
+      this.handleSubscriptionClosed(provider);
+    });
+
+    provider.on('block', (blockNumber) => {
+      this.resetStaleTimer();
+      this.fetchLatestTransactions(blockNumber);
+    });
+  }
+
+  // A socket that stays open but stops announcing heads is treated as dropped
+  resetStaleTimer() {
+    clearTimeout(this.staleTimer);
+    this.staleTimer = setTimeout(() => {
+      if (!this.subscriptionProvider) return;
+      console.warn(`No new heads for ${config.newHeadsStaleMs}ms, dropping subscription`);
+      this.subscriptionProvider.websocket.close();
+    }, config.newHeadsStaleMs);
+  }
+
+  handleSubscriptionClosed(provider) {
+    // Ignore late events from a provider we've already replaced
+    if (provider !== this.subscriptionProvider) return;
+
+    clearTimeout(this.staleTimer);
+    provider.removeAllListeners();
+    this.subscriptionProvider = null;
+    this.isSubscribed = false;
+
+    if (!this.subscriptionActive) return;
+
+    const delay = Math.min(
+      config.reconnectBaseDelayMs * 2 ** this.reconnectAttempts,
+      config.reconnectMaxDelayMs
+    );
+    this.reconnectAttempts++;
+    console.warn(`[${this.network.name}] New heads subscription dropped; polling until reconnect attempt ${this.reconnectAttempts} in ${delay}ms`);
+
+    this.startPolling();
+    this.reconnectTimer = setTimeout(() => this.connectSubscription(), delay);
+  }
+
+  unsubscribeFromNewHeads() {
+    this.subscriptionActive = false;
+    this.isSubscribed = false;
+    clearTimeout(this.staleTimer);
+    clearTimeout(this.reconnectTimer);
+
+    if (this.subscriptionProvider) {
+      const provider = this.subscriptionProvider;
+      this.subscriptionProvider = null;
+      provider.removeAllListeners();
+      destroyProvider(provider);
+    }
+  }
 }
 
 module.exports = BlockchainService;
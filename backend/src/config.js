@@ -1,4 +1,5 @@
 require('dotenv').config();
+const fs = require('fs');
 
 const config = {
   // Server configuration
@@ -6,7 +7,32 @@ const config = {
   
   // Ethereum configuration
   infuraApiKeys: process.env.INFURA_API_KEYS ? process.env.INFURA_API_KEYS.split(',') : [process.env.INFURA_API_KEY],
+  // Default network for routes; NETWORKS lists every network to ingest (defaults to this one)
   network: process.env.ETHEREUM_NETWORK || 'mainnet',
+  // Ordered, comma-separated RPC endpoints: infura:<key>, http(s)://... or ws(s)://...
+  // When unset, one Infura endpoint is used per INFURA_API_KEYS entry
+  rpcEndpoints: process.env.RPC_ENDPOINTS
+    ? process.env.RPC_ENDPOINTS.split(',').map(endpoint => endpoint.trim()).filter(Boolean)
+    : null,
+  
+  // RPC mode: 'live', 'record' (live, also appending every RPC response to
+  // RPC_RECORDING_PATH as JSONL) or 'replay' (answer from that recording, offline)
+  rpcMode: process.env.RPC_MODE || 'live',
+  rpcRecordingPath: process.env.RPC_RECORDING_PATH || './data/rpc-recording.jsonl',
+  // Replay pace relative to the recorded block times (1 = real time, 10 = ten times faster)
+  replaySpeed: process.env.REPLAY_SPEED ? parseFloat(process.env.REPLAY_SPEED) : 1,
+  
+  // Per-key request budgets: each RPC endpoint gets a token bucket refilled at
+  // RPC_REQUESTS_PER_SECOND (0 = unlimited) holding up to RPC_BURST requests, and
+  // optionally RPC_DAILY_QUOTA requests per UTC day (0 = unlimited)
+  rpcRequestsPerSecond: process.env.RPC_REQUESTS_PER_SECOND ? parseFloat(process.env.RPC_REQUESTS_PER_SECOND) : 10,
+  rpcBurst: parseInt(process.env.RPC_BURST) || 20,
+  rpcDailyQuota: parseInt(process.env.RPC_DAILY_QUOTA) || 0,
+  // A rate-limited endpoint isn't used for RPC_COOLDOWN_MS, doubling per consecutive 429
+  rpcCooldownMs: parseInt(process.env.RPC_COOLDOWN_MS) || 5000,
+  rpcMaxCooldownMs: parseInt(process.env.RPC_MAX_COOLDOWN_MS) || 300000,
+  // Requests fail instead of waiting longer than this for an endpoint to have budget
+  rpcMaxWaitMs: parseInt(process.env.RPC_MAX_WAIT_MS) || 30000,
   
   // Transaction processing configuration
   // Lower defaults to reduce memory footprint on small instances
@@ -14,6 +40,80 @@ const config = {
   stackResumeThreshold: parseInt(process.env.STACK_RESUME_THRESHOLD) || 1000,
   fetchIntervalMs: parseInt(process.env.FETCH_INTERVAL_MS) || 3000,
 
+  // Ingestion mode: 'poll' (every FETCH_INTERVAL_MS) or 'subscribe' (WebSocket newHeads,
+  // falling back to polling while the socket is down)
+  ingestionMode: process.env.INGESTION_MODE || 'poll',
+  newHeadsWsUrl: process.env.NEW_HEADS_WS_URL,
+  newHeadsStaleMs: parseInt(process.env.NEW_HEADS_STALE_MS) || 60000,
+  reconnectBaseDelayMs: parseInt(process.env.RECONNECT_BASE_DELAY_MS) || 1000,
+  reconnectMaxDelayMs: parseInt(process.env.RECONNECT_MAX_DELAY_MS) || 60000,
+
+  // Mempool feed: off, subscribe (newPendingTransactions over WebSocket) or txpool (txpool_content polling)
+  mempoolMode: process.env.MEMPOOL_MODE || 'off',
+  mempoolRpcUrl: process.env.MEMPOOL_RPC_URL,
+  mempoolPollIntervalMs: parseInt(process.env.MEMPOOL_POLL_INTERVAL_MS) || 2000,
+  // How long sightings of never-mined transactions are kept
+  mempoolRetentionMs: parseInt(process.env.MEMPOOL_RETENTION_MS) || 3600000,
+
+  // Block ingestion: where to start on an empty database and how many blocks to catch up per tick
+  ingestStartBlock: process.env.INGEST_START_BLOCK ? parseInt(process.env.INGEST_START_BLOCK) : null,
+  maxBlocksPerFetch: parseInt(process.env.MAX_BLOCKS_PER_FETCH) || 10,
+  // How far back to search for a common ancestor when a reorg is detected
+  maxReorgDepth: parseInt(process.env.MAX_REORG_DEPTH) || 64,
+
+  // Receipts (status, gas used, effective gas price) for every ingested transaction
+  ingestReceipts: process.env.INGEST_RECEIPTS !== 'false',
+  receiptBatchSize: parseInt(process.env.RECEIPT_BATCH_SIZE) || 20,
+  // Event logs from those receipts (requires INGEST_RECEIPTS)
+  ingestLogs: process.env.INGEST_LOGS !== 'false',
+  // Decode ERC-20 Transfer events from those receipts into token_transfers
+  decodeTokenTransfers: process.env.DECODE_TOKEN_TRANSFERS !== 'false',
+  // Decode ERC-721 Transfer and ERC-1155 TransferSingle/TransferBatch events into nft_transfers
+  decodeNftTransfers: process.env.DECODE_NFT_TRANSFERS !== 'false',
+  // Store beacon chain withdrawals (post-Shanghai blocks) in the withdrawals table
+  ingestWithdrawals: process.env.INGEST_WITHDRAWALS !== 'false',
+  // Record contracts deployed by ingested transactions (requires INGEST_RECEIPTS)
+  // and classify the addresses transactions are sent to as EOA or contract
+  trackContracts: process.env.TRACK_CONTRACTS !== 'false',
+  // Concurrent getCode requests when classifying a block's new addresses
+  addressTypeBatchSize: parseInt(process.env.ADDRESS_TYPE_BATCH_SIZE) || 20,
+  // How long an address found to be an EOA is trusted before getCode is called again
+  // (contracts are cached for good; an EOA can later be deployed to or delegated)
+  addressTypeCacheTtlMs: parseInt(process.env.ADDRESS_TYPE_CACHE_TTL_MS) || 86400000,
+  // Calldata: the 4-byte method selector is always stored; CALLDATA_MODE=full also
+  // stores the full calldata of transactions up to CALLDATA_MAX_BYTES long
+  calldataMode: process.env.CALLDATA_MODE || 'selector',
+  calldataMaxBytes: parseInt(process.env.CALLDATA_MAX_BYTES) || 4096,
+  // Internal transactions from call traces: off, debug (debug_traceTransaction with
+  // callTracer, e.g. geth) or trace (trace_block, e.g. Erigon/Nethermind/Reth).
+  // Most hosted providers don't serve either, so TRACE_RPC_URL can name a tracing node.
+  traceMode: process.env.TRACE_MODE || 'off',
+  traceRpcUrl: process.env.TRACE_RPC_URL,
+  // Concurrent debug_traceTransaction requests per block
+  traceBatchSize: parseInt(process.env.TRACE_BATCH_SIZE) || 10,
+  // EIP-4844 blob base fee update fraction; unset follows the mainnet fork schedule
+  blobBaseFeeUpdateFraction: process.env.BLOB_BASE_FEE_UPDATE_FRACTION ? parseInt(process.env.BLOB_BASE_FEE_UPDATE_FRACTION) : null,
+
+  // USD prices from Chainlink feeds, read every PRICE_FEED_INTERVAL_BLOCKS ingested
+  // blocks. CHAINLINK_FEEDS lists asset:feed pairs, where the asset is ETH or a
+  // token address, e.g. ETH:0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419 (mainnet ETH/USD)
+  chainlinkFeeds: process.env.CHAINLINK_FEEDS,
+  priceFeedIntervalBlocks: parseInt(process.env.PRICE_FEED_INTERVAL_BLOCKS) || 50,
+
+  // ENS: primary names for addresses in API responses, and ENS names accepted
+  // wherever an address is. Lookups use ENS_NETWORK (which must be ingested) and
+  // are cached in ens_names for ENS_CACHE_TTL_MS before being refreshed.
+  ensEnabled: process.env.ENS_ENABLED !== 'false',
+  ensNetwork: process.env.ENS_NETWORK || process.env.ETHEREUM_NETWORK || 'mainnet',
+  ensCacheTtlMs: parseInt(process.env.ENS_CACHE_TTL_MS) || 86400000,
+  // Uncached names looked up while a request waits; the rest resolve in the background
+  ensMaxLookupsPerRequest: parseInt(process.env.ENS_MAX_LOOKUPS_PER_REQUEST) || 10,
+
+  // Historical backfill jobs
+  maxBackfillBlocks: parseInt(process.env.MAX_BACKFILL_BLOCKS) || 10000,
+  maxConcurrentBackfills: parseInt(process.env.MAX_CONCURRENT_BACKFILLS) || 2,
+  backfillDelayMs: parseInt(process.env.BACKFILL_DELAY_MS) || 100,
+
   // Database retention/pruning
   maxDbRows: parseInt(process.env.MAX_DB_ROWS) || 10000,
   pruneIntervalMs: parseInt(process.env.PRUNE_INTERVAL_MS) || 60000,
@@ -45,14 +145,107 @@ const config = {
   encryptionKey: process.env.ENCRYPTION_KEY,
 };
 
+// Read a per-network override, e.g. RPC_ENDPOINTS_SEPOLIA or INGEST_START_BLOCK_BASE
+function networkEnv(name, key) {
+  return process.env[`${key}_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`];
+}
+
+// Settings for one ingested network. The default network keeps the unsuffixed
+// settings above; other networks only inherit the ones that aren't chain-specific.
+function buildNetworkConfig(name) {
+  const isDefault = name === config.network;
+  const chainSpecific = (key, fallback) => networkEnv(name, key) ?? (isDefault ? fallback : null);
+
+  const rpcEndpoints = networkEnv(name, 'RPC_ENDPOINTS');
+  const ingestStartBlock = networkEnv(name, 'INGEST_START_BLOCK');
+  const blobBaseFeeUpdateFraction = networkEnv(name, 'BLOB_BASE_FEE_UPDATE_FRACTION');
+
+  return {
+    name,
+    // Without endpoints of its own, a network uses the Infura keys for its network name
+    rpcEndpoints: rpcEndpoints
+      ? rpcEndpoints.split(',').map(endpoint => endpoint.trim()).filter(Boolean)
+      : (isDefault ? config.rpcEndpoints : null),
+    newHeadsWsUrl: chainSpecific('NEW_HEADS_WS_URL', config.newHeadsWsUrl),
+    ingestStartBlock: ingestStartBlock ? parseInt(ingestStartBlock) : (isDefault ? config.ingestStartBlock : null),
+    ingestionMode: networkEnv(name, 'INGESTION_MODE') || config.ingestionMode,
+    mempoolMode: chainSpecific('MEMPOOL_MODE', config.mempoolMode) || 'off',
+    mempoolRpcUrl: chainSpecific('MEMPOOL_RPC_URL', config.mempoolRpcUrl),
+    traceMode: chainSpecific('TRACE_MODE', config.traceMode) || 'off',
+    traceRpcUrl: chainSpecific('TRACE_RPC_URL', config.traceRpcUrl),
+    chainlinkFeeds: (chainSpecific('CHAINLINK_FEEDS', config.chainlinkFeeds) || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const [asset, address] = entry.split(':').map(part => part.trim());
+        return { asset, address };
+      }),
+    blobBaseFeeUpdateFraction: blobBaseFeeUpdateFraction
+      ? parseInt(blobBaseFeeUpdateFraction)
+      : (isDefault ? config.blobBaseFeeUpdateFraction : null)
+  };
+}
+
+config.networks = (process.env.NETWORKS ? process.env.NETWORKS.split(',') : [config.network])
+  .map(name => name.trim())
+  .filter(Boolean)
+  .map(buildNetworkConfig);
+
 // Validation
 function validateConfig() {
   const errors = [];
   
-  if (!config.infuraApiKeys || config.infuraApiKeys.length === 0 || config.infuraApiKeys[0] === undefined) {
-    errors.push('INFURA_API_KEY or INFURA_API_KEYS is required');
+  const hasInfuraKeys = config.infuraApiKeys && config.infuraApiKeys.length > 0 && config.infuraApiKeys[0] !== undefined;
+  if (!config.networks.some(network => network.name === config.network)) {
+    errors.push(`NETWORKS must include the default network ETHEREUM_NETWORK (${config.network})`);
+  }
+
+  for (const network of config.networks) {
+    const hasRpcEndpoints = network.rpcEndpoints && network.rpcEndpoints.length > 0;
+    // A replay needs no node, so no keys or endpoints either
+    if (!hasInfuraKeys && !hasRpcEndpoints && config.rpcMode !== 'replay') {
+      errors.push(`Network ${network.name}: RPC_ENDPOINTS, INFURA_API_KEY or INFURA_API_KEYS is required`);
+    }
+    if (!['poll', 'subscribe'].includes(network.ingestionMode)) {
+      errors.push(`Network ${network.name}: INGESTION_MODE must be 'poll' or 'subscribe'`);
+    }
+    if (!['off', 'subscribe', 'txpool'].includes(network.mempoolMode)) {
+      errors.push(`Network ${network.name}: MEMPOOL_MODE must be 'off', 'subscribe' or 'txpool'`);
+    }
+    if (!['off', 'debug', 'trace'].includes(network.traceMode)) {
+      errors.push(`Network ${network.name}: TRACE_MODE must be 'off', 'debug' or 'trace'`);
+    }
+    for (const feed of network.chainlinkFeeds) {
+      const isAddress = value => /^0x[0-9a-fA-F]{40}$/.test(value || '');
+      if (!(feed.asset.toUpperCase() === 'ETH' || isAddress(feed.asset)) || !isAddress(feed.address)) {
+        errors.push(`Network ${network.name}: CHAINLINK_FEEDS entries must be <ETH or token address>:<feed address>, got "${feed.asset}:${feed.address || ''}"`);
+      }
+    }
   }
   
+  if (config.ensEnabled && !config.networks.some(network => network.name === config.ensNetwork)) {
+    errors.push(`ENS_NETWORK (${config.ensNetwork}) must be one of NETWORKS, or set ENS_ENABLED=false`);
+  }
+
+  if (!['live', 'record', 'replay'].includes(config.rpcMode)) {
+    errors.push("RPC_MODE must be 'live', 'record' or 'replay'");
+  }
+  if (config.rpcMode === 'replay' && !fs.existsSync(config.rpcRecordingPath)) {
+    errors.push(`RPC_RECORDING_PATH (${config.rpcRecordingPath}) must point to a recording in replay mode`);
+  }
+  if (!(config.replaySpeed > 0)) {
+    errors.push('REPLAY_SPEED must be a positive number');
+  }
+
+  if (!(config.rpcRequestsPerSecond >= 0)) {
+    errors.push('RPC_REQUESTS_PER_SECOND must be 0 (unlimited) or a positive number');
+  }
+
+  if (!['selector', 'full'].includes(config.calldataMode)) {
+    errors.push("CALLDATA_MODE must be 'selector' or 'full'");
+  }
+
   if (!config.encryptionKey || config.encryptionKey.length < 32) {
     errors.push('ENCRYPTION_KEY is required and must be at least 32 characters');
   }
@@ -0,0 +1,29 @@
+const { ethers } = require('ethers');
+
+// EIP-7702 delegation designator: an EOA whose code is 0xef0100 followed by
+// the 20-byte address it delegates to. It is still an EOA, not a contract.
+const DELEGATION_PREFIX = '0xef0100';
+const DELEGATION_CODE_LENGTH = 23;
+
+// Classify an address from its eth_getCode result
+function classifyCode(code) {
+  const codeSize = code && code !== '0x' ? ethers.utils.hexDataLength(code) : 0;
+  if (codeSize === 0) {
+    return { type: 'eoa', codeHash: null, codeSize: 0, delegatedTo: null };
+  }
+
+  const codeHash = ethers.utils.keccak256(code);
+  if (codeSize === DELEGATION_CODE_LENGTH && code.toLowerCase().startsWith(DELEGATION_PREFIX)) {
+    return {
+      type: 'eoa',
+      codeHash,
+      codeSize,
+      delegatedTo: ethers.utils.getAddress(ethers.utils.hexDataSlice(code, 3))
+    };
+  }
+  return { type: 'contract', codeHash, codeSize, delegatedTo: null };
+}
+
+module.exports = {
+  classifyCode
+};
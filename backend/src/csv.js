@@ -0,0 +1,69 @@
+// Split CSV text into rows of fields. Handles quoted fields containing commas,
+// newlines and doubled quotes ("") as spreadsheet exports write them.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// Records from CSV with a header row naming its columns, as objects keyed by the
+// lowercased column names. Throws if the CSV is empty or a required column is missing.
+function parseCsvRecords(text, requiredColumns) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    throw new Error('CSV is empty');
+  }
+  const columns = header.map(name => name.trim().toLowerCase());
+  for (const required of requiredColumns) {
+    if (!columns.includes(required)) {
+      throw new Error(`CSV header must include the "${required}" column`);
+    }
+  }
+
+  return rows.map(fields => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = fields[index];
+    });
+    return record;
+  });
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords
+};
@@ -1,6 +1,99 @@
 const duckdb = require('duckdb');
 const path = require('path');
 const fs = require('fs');
+const config = require('./config');
+const { GAS_PER_BLOB } = require('./blobs');
+const { COMMON_SIGNATURES, parseSignature } = require('./signatures');
+
+// Tables whose rows belong to a stored transaction: pruned along with it and
+// rolled back by block_number on a reorg
+const TRANSACTION_CHILD_TABLES = [
+  { table: 'receipts', hashColumn: 'hash' },
+  { table: 'logs', hashColumn: 'transaction_hash' },
+  { table: 'token_transfers', hashColumn: 'transaction_hash' },
+  { table: 'nft_transfers', hashColumn: 'transaction_hash' },
+  { table: 'internal_transfers', hashColumn: 'transaction_hash' }
+];
+
+// Every table is keyed by network, so several networks can share one database
+const NETWORK_TABLES = [
+  'transactions',
+  'receipts',
+  'logs',
+  'token_transfers',
+  'nft_transfers',
+  'internal_transfers',
+  'contract_abis',
+  'address_labels',
+  'contracts',
+  'address_types',
+  'withdrawals',
+  'prices',
+  'ingestion_cursors',
+  'blocks',
+  'reorg_events',
+  'mempool_sightings'
+];
+
+// Views over network-scoped tables (see createViews)
+const NETWORK_VIEWS = ['transactions_usd', 'token_transfers_usd'];
+
+// USD valuation: each row is priced at the latest price point at or before its
+// block time (an ASOF join), so prices only need to be recorded now and then
+const ETH_PRICE_JOIN = `
+  ASOF LEFT JOIN (SELECT network, timestamp, price_usd FROM prices WHERE asset = 'ETH') p
+    ON p.network = t.network AND t.timestamp >= p.timestamp
+`;
+const TRANSACTION_USD_COLUMNS = 'p.price_usd as eth_price_usd, CAST(t.value AS DOUBLE) / 1000000000000000000 * p.price_usd as value_usd';
+const TOKEN_PRICE_JOIN = `
+  ASOF LEFT JOIN prices p
+    ON p.network = tt.network AND p.asset = tt.token_address AND tt.timestamp >= p.timestamp
+`;
+const TOKEN_TRANSFER_USD_COLUMNS = 'p.price_usd, CAST(tt.amount AS DOUBLE) / POWER(10, p.decimals) * p.price_usd as amount_usd';
+
+// WHERE clause shared by the withdrawals queries (address and block range are optional)
+function withdrawalFilter(network, { address, fromBlock, toBlock }) {
+  const conditions = ['network = ?'];
+  const params = [network];
+  if (address) {
+    conditions.push('address = ?');
+    params.push(address);
+  }
+  if (fromBlock !== undefined) {
+    conditions.push('block_number >= ?');
+    params.push(fromBlock);
+  }
+  if (toBlock !== undefined) {
+    conditions.push('block_number <= ?');
+    params.push(toBlock);
+  }
+  return { where: conditions.join(' AND '), params };
+}
+
+// Promise wrappers for a duckdb connection's callback API
+function runOn(conn, sql, params) {
+  return new Promise((resolve, reject) => {
+    conn.run(sql, ...params, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+function queryOn(conn, sql, params) {
+  return new Promise((resolve, reject) => {
+    conn.all(sql, ...params, (err, results) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(results || []);
+    });
+  });
+}
 
 class TransactionDatabase {
   constructor() {
@@ -23,8 +116,10 @@ class TransactionDatabase {
       this.db = new duckdb.Database(dbPath);
       this.conn = this.db.connect();
 
-      // Create tables
+      // Create tables, carrying over rows from tables created before networks were tracked
+      const legacyTables = await this.detachLegacyTables();
       await this.createTables();
+      await this.restoreLegacyTables(legacyTables);
       
       console.log('DuckDB initialized successfully');
     } catch (error) {
@@ -36,7 +131,8 @@ class TransactionDatabase {
   async createTables() {
     const createTableSQL = `
       CREATE TABLE IF NOT EXISTS transactions (
-        hash VARCHAR PRIMARY KEY,
+        network VARCHAR,
+        hash VARCHAR,
         block_number BIGINT,
         from_address VARCHAR,
         to_address VARCHAR,
@@ -45,53 +141,705 @@ class TransactionDatabase {
         gas_limit BIGINT,
         nonce BIGINT,
         data TEXT,
+        tx_type INTEGER,
+        max_fee_per_gas VARCHAR,
+        max_priority_fee_per_gas VARCHAR,
+        chain_id BIGINT,
+        access_list TEXT,
+        max_fee_per_blob_gas VARCHAR,
+        blob_versioned_hashes TEXT,
+        blob_count INTEGER,
+        seen_in_mempool BOOLEAN,
+        inclusion_latency_ms BIGINT,
+        method_selector VARCHAR,
+        method_name VARCHAR,
         timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (network, hash)
+      )
+    `;
+
+    // Tracks how far block ingestion has progressed, keyed by ingester name
+    const createCursorTableSQL = `
+      CREATE TABLE IF NOT EXISTS ingestion_cursors (
+        network VARCHAR,
+        name VARCHAR,
+        block_number BIGINT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (network, name)
+      )
+    `;
+
+    // One row per ingested block, also used to skip blocks that are already stored
+    const createBlocksTableSQL = `
+      CREATE TABLE IF NOT EXISTS blocks (
+        network VARCHAR,
+        number BIGINT,
+        hash VARCHAR,
+        parent_hash VARCHAR,
+        timestamp TIMESTAMP,
+        miner VARCHAR,
+        gas_used BIGINT,
+        gas_limit BIGINT,
+        base_fee_per_gas VARCHAR,
+        blob_gas_used BIGINT,
+        excess_blob_gas BIGINT,
+        blob_base_fee VARCHAR,
+        tx_count INTEGER,
+        ingested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (network, number)
+      )
+    `;
+
+    // Chain reorganizations detected during ingestion
+    const createReorgEventsTableSQL = `
+      CREATE TABLE IF NOT EXISTS reorg_events (
+        id BIGINT PRIMARY KEY DEFAULT nextval('reorg_events_id_seq'),
+        network VARCHAR,
+        detected_at_block BIGINT,
+        common_ancestor BIGINT,
+        depth INTEGER,
+        old_head_block BIGINT,
+        old_head_hash VARCHAR,
+        new_parent_hash VARCHAR,
+        orphaned_blocks INTEGER,
+        orphaned_transactions INTEGER,
+        detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Transaction receipts, joined to transactions by hash
+    const createReceiptsTableSQL = `
+      CREATE TABLE IF NOT EXISTS receipts (
+        network VARCHAR,
+        hash VARCHAR,
+        block_number BIGINT,
+        transaction_index INTEGER,
+        status INTEGER,
+        gas_used BIGINT,
+        cumulative_gas_used BIGINT,
+        effective_gas_price VARCHAR,
+        contract_address VARCHAR,
+        logs_count INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (network, hash)
+      )
+    `;
+
+    // Event logs emitted by transactions, from their receipts
+    const createLogsTableSQL = `
+      CREATE TABLE IF NOT EXISTS logs (
+        network VARCHAR,
+        transaction_hash VARCHAR,
+        log_index INTEGER,
+        block_number BIGINT,
+        address VARCHAR,
+        topic0 VARCHAR,
+        topic1 VARCHAR,
+        topic2 VARCHAR,
+        topic3 VARCHAR,
+        data TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (network, transaction_hash, log_index)
+      )
+    `;
+
+    // Decoded ERC-20 Transfer events; amount is the raw integer, not scaled by decimals
+    const createTokenTransfersTableSQL = `
+      CREATE TABLE IF NOT EXISTS token_transfers (
+        network VARCHAR,
+        transaction_hash VARCHAR,
+        log_index INTEGER,
+        block_number BIGINT,
+        token_address VARCHAR,
+        from_address VARCHAR,
+        to_address VARCHAR,
+        amount VARCHAR,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (network, transaction_hash, log_index)
+      )
+    `;
+
+    // Decoded ERC-721 and ERC-1155 transfers; batch_index numbers the entries of a TransferBatch
+    const createNftTransfersTableSQL = `
+      CREATE TABLE IF NOT EXISTS nft_transfers (
+        network VARCHAR,
+        transaction_hash VARCHAR,
+        log_index INTEGER,
+        batch_index INTEGER,
+        block_number BIGINT,
+        collection_address VARCHAR,
+        token_standard VARCHAR,
+        token_id VARCHAR,
+        quantity VARCHAR,
+        operator_address VARCHAR,
+        from_address VARCHAR,
+        to_address VARCHAR,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (network, transaction_hash, log_index, batch_index)
+      )
+    `;
+
+    // ETH moved by calls inside a transaction, flattened from its call trace.
+    // trace_address is the frame's path in the call tree (e.g. "0.2.1").
+    const createInternalTransfersTableSQL = `
+      CREATE TABLE IF NOT EXISTS internal_transfers (
+        network VARCHAR,
+        transaction_hash VARCHAR,
+        trace_address VARCHAR,
+        block_number BIGINT,
+        depth INTEGER,
+        call_type VARCHAR,
+        from_address VARCHAR,
+        to_address VARCHAR,
+        value VARCHAR,
+        error VARCHAR,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (network, transaction_hash, trace_address)
+      )
+    `;
+
+    // Function signatures by 4-byte selector, used to name the method a transaction
+    // calls. Selectors are the same on every chain, so this table isn't per network.
+    const createMethodSignaturesTableSQL = `
+      CREATE TABLE IF NOT EXISTS method_signatures (
+        selector VARCHAR PRIMARY KEY,
+        signature VARCHAR,
+        name VARCHAR,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `;
 
-    return new Promise((resolve, reject) => {
-      this.conn.run(createTableSQL, (err) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        resolve();
-      });
+    // User-uploaded contract ABIs, used to decode calls and logs; abi holds the JSON array
+    const createContractAbisTableSQL = `
+      CREATE TABLE IF NOT EXISTS contract_abis (
+        network VARCHAR,
+        address VARCHAR,
+        name VARCHAR,
+        abi TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (network, address)
+      )
+    `;
+
+    // User-maintained labels for known addresses (exchange wallets, bridges,
+    // treasuries); entity groups an organization's addresses, e.g. "Binance"
+    const createAddressLabelsTableSQL = `
+      CREATE TABLE IF NOT EXISTS address_labels (
+        network VARCHAR,
+        address VARCHAR,
+        label VARCHAR,
+        entity VARCHAR,
+        category VARCHAR,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (network, address)
+      )
+    `;
+
+    // Contracts deployed by ingested transactions (receipts with a contract_address).
+    // Unlike receipts, these are kept when old transactions are pruned.
+    const createContractsTableSQL = `
+      CREATE TABLE IF NOT EXISTS contracts (
+        network VARCHAR,
+        address VARCHAR,
+        deployer VARCHAR,
+        transaction_hash VARCHAR,
+        block_number BIGINT,
+        bytecode_hash VARCHAR,
+        code_size INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (network, address)
+      )
+    `;
+
+    // Cached EOA/contract classification from eth_getCode. delegated_to is set for
+    // EIP-7702 EOAs that delegate to a contract.
+    const createAddressTypesTableSQL = `
+      CREATE TABLE IF NOT EXISTS address_types (
+        network VARCHAR,
+        address VARCHAR,
+        type VARCHAR,
+        code_hash VARCHAR,
+        code_size INTEGER,
+        delegated_to VARCHAR,
+        checked_at TIMESTAMP,
+        PRIMARY KEY (network, address)
+      )
+    `;
+
+    // Beacon chain withdrawals (EIP-4895) credited in each block. withdrawal_index
+    // is the consensus layer's global counter, so it is unique per network.
+    const createWithdrawalsTableSQL = `
+      CREATE TABLE IF NOT EXISTS withdrawals (
+        network VARCHAR,
+        withdrawal_index BIGINT,
+        validator_index BIGINT,
+        address VARCHAR,
+        amount_gwei BIGINT,
+        block_number BIGINT,
+        timestamp TIMESTAMP,
+        PRIMARY KEY (network, withdrawal_index)
+      )
+    `;
+
+    // USD price points per asset ('ETH' or a token address), from CSV imports or
+    // Chainlink feeds read at block_number. decimals scales the asset's raw amounts.
+    const createPricesTableSQL = `
+      CREATE TABLE IF NOT EXISTS prices (
+        network VARCHAR,
+        asset VARCHAR,
+        timestamp TIMESTAMP,
+        price_usd DOUBLE,
+        decimals INTEGER,
+        block_number BIGINT,
+        source VARCHAR,
+        PRIMARY KEY (network, asset, timestamp)
+      )
+    `;
+
+    // Primary ENS names by checksummed address, verified forward (name resolves back
+    // to the address). name is NULL for addresses without one, so misses are cached
+    // too. ENS lives on one chain, so this table isn't per network.
+    const createEnsNamesTableSQL = `
+      CREATE TABLE IF NOT EXISTS ens_names (
+        address VARCHAR PRIMARY KEY,
+        name VARCHAR,
+        resolved_at TIMESTAMP
+      )
+    `;
+
+    // First time each pending transaction was seen in the mempool; rows outlive
+    // the transactions table since most sightings are for not-yet-mined transactions
+    const createMempoolSightingsTableSQL = `
+      CREATE TABLE IF NOT EXISTS mempool_sightings (
+        network VARCHAR,
+        hash VARCHAR,
+        first_seen_at TIMESTAMP,
+        source VARCHAR,
+        from_address VARCHAR,
+        to_address VARCHAR,
+        nonce BIGINT,
+        gas_price VARCHAR,
+        max_fee_per_gas VARCHAR,
+        max_priority_fee_per_gas VARCHAR,
+        PRIMARY KEY (network, hash)
+      )
+    `;
+
+    await this.run(createTableSQL);
+    await this.run(createReceiptsTableSQL);
+    await this.run(createLogsTableSQL);
+    await this.run(createTokenTransfersTableSQL);
+    await this.run(createNftTransfersTableSQL);
+    await this.run(createInternalTransfersTableSQL);
+    await this.run(createCursorTableSQL);
+    await this.run(createBlocksTableSQL);
+    await this.run('CREATE SEQUENCE IF NOT EXISTS reorg_events_id_seq');
+    await this.run(createReorgEventsTableSQL);
+    await this.run(createMempoolSightingsTableSQL);
+    await this.run(createMethodSignaturesTableSQL);
+    await this.run(createContractAbisTableSQL);
+    await this.run(createEnsNamesTableSQL);
+    await this.run(createAddressLabelsTableSQL);
+    await this.run(createContractsTableSQL);
+    await this.run(createAddressTypesTableSQL);
+    await this.run(createWithdrawalsTableSQL);
+    await this.run(createPricesTableSQL);
+
+    await this.migrate();
+    await this.createViews();
+    await this.seedMethodSignatures();
+  }
+
+  // USD-valued views for SQL queries; token transfers take their block time from their transaction
+  async createViews() {
+    await this.run(`
+      CREATE OR REPLACE VIEW transactions_usd AS
+      SELECT t.*, ${TRANSACTION_USD_COLUMNS}
+      FROM transactions t
+      ${ETH_PRICE_JOIN}
+    `);
+    await this.run(`
+      CREATE OR REPLACE VIEW token_transfers_usd AS
+      SELECT tt.*, ${TOKEN_TRANSFER_USD_COLUMNS}
+      FROM (
+        SELECT tt.*, t.timestamp FROM token_transfers tt
+        LEFT JOIN transactions t ON t.network = tt.network AND t.hash = tt.transaction_hash
+      ) tt
+      ${TOKEN_PRICE_JOIN}
+    `);
+  }
+
+  // Bring tables created by older versions up to the current schema
+  async migrate() {
+    // Typed-transaction fields
+    await this.run('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS tx_type INTEGER');
+    await this.run('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS max_fee_per_gas VARCHAR');
+    await this.run('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS max_priority_fee_per_gas VARCHAR');
+    await this.run('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS chain_id BIGINT');
+    await this.run('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS access_list TEXT');
+    // Blob transaction fields (EIP-4844)
+    await this.run('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS max_fee_per_blob_gas VARCHAR');
+    await this.run('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS blob_versioned_hashes TEXT');
+    await this.run('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS blob_count INTEGER');
+    // Mempool visibility
+    await this.run('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS seen_in_mempool BOOLEAN');
+    await this.run('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS inclusion_latency_ms BIGINT');
+    // Called method
+    await this.run('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS method_selector VARCHAR');
+    await this.run('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS method_name VARCHAR');
+
+    await this.run('ALTER TABLE blocks ADD COLUMN IF NOT EXISTS hash VARCHAR');
+    await this.run('ALTER TABLE blocks ADD COLUMN IF NOT EXISTS parent_hash VARCHAR');
+    await this.run('ALTER TABLE blocks ADD COLUMN IF NOT EXISTS timestamp TIMESTAMP');
+    await this.run('ALTER TABLE blocks ADD COLUMN IF NOT EXISTS miner VARCHAR');
+    await this.run('ALTER TABLE blocks ADD COLUMN IF NOT EXISTS gas_used BIGINT');
+    await this.run('ALTER TABLE blocks ADD COLUMN IF NOT EXISTS gas_limit BIGINT');
+    await this.run('ALTER TABLE blocks ADD COLUMN IF NOT EXISTS base_fee_per_gas VARCHAR');
+    await this.run('ALTER TABLE blocks ADD COLUMN IF NOT EXISTS blob_gas_used BIGINT');
+    await this.run('ALTER TABLE blocks ADD COLUMN IF NOT EXISTS excess_blob_gas BIGINT');
+    await this.run('ALTER TABLE blocks ADD COLUMN IF NOT EXISTS blob_base_fee VARCHAR');
+  }
+
+  // Tables created before multi-network support have no network column and are
+  // keyed without it. They are renamed out of the way so createTables() can build
+  // the current schema, then restoreLegacyTables() copies their rows across.
+  async detachLegacyTables() {
+    const columnsOf = (table) => this.query(
+      "SELECT column_name FROM information_schema.columns WHERE table_schema = 'main' AND table_name = ?",
+      [table]
+    );
+
+    const legacyTables = [];
+    for (const table of NETWORK_TABLES) {
+      // Left over from a migration that didn't complete
+      if ((await columnsOf(`${table}_legacy`)).length > 0) {
+        legacyTables.push(table);
+        continue;
+      }
+
+      const columns = await columnsOf(table);
+      if (columns.length > 0 && !columns.some(column => column.column_name === 'network')) {
+        await this.run(`ALTER TABLE ${table} RENAME TO ${table}_legacy`);
+        legacyTables.push(table);
+      }
+    }
+    return legacyTables;
+  }
+
+  // Existing rows were all ingested from the configured default network
+  async restoreLegacyTables(legacyTables) {
+    if (legacyTables.length === 0) return;
+
+    console.log(`Migrating ${legacyTables.join(', ')} to network ${config.network}`);
+    await this.transaction(async tx => {
+      for (const table of legacyTables) {
+        await tx.run(`INSERT INTO ${table} BY NAME SELECT *, ? AS network FROM ${table}_legacy`, [config.network]);
+        await tx.run(`DROP TABLE ${table}_legacy`);
+      }
     });
   }
 
-  // Keep only the most recent N rows to limit memory/disk usage
-  async pruneOldTransactions(maxRows) {
+  // Run fn({ run, query }) in a transaction on a connection of its own. The
+  // shared connection is used by every ingester, backfill and route at once,
+  // so a transaction opened on it would take in their statements too.
+  async transaction(fn) {
+    const conn = this.db.connect();
+    const tx = {
+      run: (sql, params = []) => runOn(conn, sql, params),
+      query: (sql, params = []) => queryOn(conn, sql, params)
+    };
+    try {
+      await tx.run('BEGIN TRANSACTION');
+      try {
+        const result = await fn(tx);
+        await tx.run('COMMIT');
+        return result;
+      } catch (error) {
+        await tx.run('ROLLBACK');
+        throw error;
+      }
+    } finally {
+      conn.close();
+    }
+  }
+
+  // Execute a statement that does not return rows
+  async run(sql, params = []) {
+    return runOn(this.conn, sql, params);
+  }
+
+  // Run a query as if the database held only one network. On a connection of
+  // its own, every table and view with a network column is shadowed by a temp
+  // view of that network's rows, so any query shape (unions, comma joins, CTEs,
+  // subqueries) is scoped without rewriting the SQL.
+  async queryNetwork(network, sql, params = []) {
+    const conn = this.db.connect();
+    try {
+      const [{ catalog }] = await queryOn(conn, 'SELECT current_database() AS catalog', []);
+      const catalogName = `"${catalog.replace(/"/g, '""')}"`;
+      const literal = `'${network.replace(/'/g, "''")}'`;
+      for (const name of [...NETWORK_TABLES, ...NETWORK_VIEWS]) {
+        await runOn(conn, `CREATE TEMP VIEW ${name} AS SELECT * FROM ${catalogName}.main.${name} WHERE network = ${literal}`, []);
+      }
+      return await queryOn(conn, sql, params);
+    } finally {
+      conn.close();
+    }
+  }
+
+  // Get the last fully ingested block number for an ingester (null if none yet)
+  async getCursor(network, name) {
+    const results = await this.query(
+      'SELECT block_number FROM ingestion_cursors WHERE network = ? AND name = ?',
+      [network, name]
+    );
+    if (results.length === 0 || results[0].block_number === null) {
+      return null;
+    }
+    return Number(results[0].block_number);
+  }
+
+  async setCursor(network, name, blockNumber) {
+    const sql = `
+      INSERT OR REPLACE INTO ingestion_cursors (network, name, block_number, updated_at)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    `;
+    return this.run(sql, [network, name, blockNumber]);
+  }
+
+  // Keep only the most recent N rows of a network to limit memory/disk usage
+  async pruneOldTransactions(network, maxRows) {
     const pruneSQL = `
       DELETE FROM transactions
-      WHERE created_at < (
+      WHERE network = ? AND created_at < (
         SELECT MIN(created_at) FROM (
           SELECT created_at FROM transactions
+          WHERE network = ?
           ORDER BY created_at DESC
           LIMIT ?
         )
       );
     `;
 
-    return new Promise((resolve, reject) => {
-      this.conn.run(pruneSQL, maxRows, (err) => {
-        if (err) {
-          return reject(err);
-        }
-        resolve();
-      });
+    // Forget blocks whose transactions were all pruned, so backfills can reload them
+    const prunedBlocksCondition = `
+      network = ? AND tx_count > 0
+        AND number NOT IN (SELECT DISTINCT block_number FROM transactions WHERE network = ? AND block_number IS NOT NULL)
+    `;
+
+    await this.run(pruneSQL, [network, network, maxRows]);
+    for (const { table, hashColumn } of TRANSACTION_CHILD_TABLES) {
+      await this.run(
+        `DELETE FROM ${table} WHERE network = ? AND ${hashColumn} NOT IN (SELECT hash FROM transactions WHERE network = ?)`,
+        [network, network]
+      );
+    }
+    // Withdrawals go with their block, so delete those of the blocks being pruned
+    // first. Only stored blocks qualify: a block being stored right now has its
+    // withdrawals written before the block itself.
+    await this.run(
+      `DELETE FROM withdrawals WHERE network = ? AND block_number IN (SELECT number FROM blocks WHERE ${prunedBlocksCondition})`,
+      [network, network, network]
+    );
+    await this.run(`DELETE FROM blocks WHERE ${prunedBlocksCondition}`, [network, network]);
+  }
+
+  async insertBlock(network, block) {
+    const sql = `
+      INSERT OR REPLACE INTO blocks
+      (network, number, hash, parent_hash, timestamp, miner, gas_used, gas_limit, base_fee_per_gas,
+       blob_gas_used, excess_blob_gas, blob_base_fee, tx_count, ingested_at)
+      VALUES (?, ?, ?, ?, epoch_ms(?), ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `;
+    return this.run(sql, [
+      network,
+      block.number,
+      block.hash,
+      block.parentHash,
+      block.timestamp * 1000,
+      block.miner,
+      block.gasUsed ? block.gasUsed.toString() : '0',
+      block.gasLimit ? block.gasLimit.toString() : '0',
+      // Null before London (EIP-1559)
+      block.baseFeePerGas ? block.baseFeePerGas.toString() : null,
+      // Null before Cancun (EIP-4844)
+      block.blobGasUsed ? block.blobGasUsed.toString() : null,
+      block.excessBlobGas ? block.excessBlobGas.toString() : null,
+      block.blobBaseFee ? block.blobBaseFee.toString() : null,
+      block.transactions ? block.transactions.length : 0
+    ]);
+  }
+
+  async getRecentBlocks(network, limit = 100) {
+    const sql = `
+      SELECT * FROM blocks
+      WHERE network = ?
+      ORDER BY number DESC
+      LIMIT ?
+    `;
+    return this.query(sql, [network, limit]);
+  }
+
+  async getBlock(network, blockNumber) {
+    const results = await this.query('SELECT * FROM blocks WHERE network = ? AND number = ?', [network, blockNumber]);
+    return results[0] || null;
+  }
+
+  async getTransactionsByBlock(network, blockNumber) {
+    // Receipts (when ingested) give the in-block order
+    const sql = `
+      SELECT t.* FROM transactions t
+      LEFT JOIN receipts r ON r.network = t.network AND r.hash = t.hash
+      WHERE t.network = ? AND t.block_number = ?
+      ORDER BY r.transaction_index, t.hash
+    `;
+    return this.query(sql, [network, blockNumber]);
+  }
+
+  // Get the stored hash for a block number (null if the block isn't stored)
+  async getBlockHash(network, blockNumber) {
+    const results = await this.query('SELECT hash FROM blocks WHERE network = ? AND number = ?', [network, blockNumber]);
+    return results.length > 0 ? results[0].hash : null;
+  }
+
+  // Remove everything stored for blocks in (commonAncestor, oldHead], move the
+  // cursor back to the common ancestor and record the reorg, all atomically
+  async rollbackToBlock(network, cursorName, commonAncestor, oldHead, { oldHeadHash, newParentHash, detectedAtBlock }) {
+    const range = [network, commonAncestor, oldHead];
+    return this.transaction(async tx => {
+      const [{ count: orphanedTransactions }] = await tx.query(
+        'SELECT COUNT(*) AS count FROM transactions WHERE network = ? AND block_number > ? AND block_number <= ?',
+        range
+      );
+      const [{ count: orphanedBlocks }] = await tx.query(
+        'SELECT COUNT(*) AS count FROM blocks WHERE network = ? AND number > ? AND number <= ?',
+        range
+      );
+
+      await tx.run('DELETE FROM transactions WHERE network = ? AND block_number > ? AND block_number <= ?', range);
+      for (const { table } of TRANSACTION_CHILD_TABLES) {
+        await tx.run(`DELETE FROM ${table} WHERE network = ? AND block_number > ? AND block_number <= ?`, range);
+      }
+      // Orphaned deployments never happened on the canonical chain
+      await tx.run(`
+        DELETE FROM address_types WHERE network = ? AND address IN (
+          SELECT address FROM contracts WHERE network = ? AND block_number > ? AND block_number <= ?
+        )
+      `, [network, ...range]);
+      await tx.run('DELETE FROM contracts WHERE network = ? AND block_number > ? AND block_number <= ?', range);
+      await tx.run('DELETE FROM withdrawals WHERE network = ? AND block_number > ? AND block_number <= ?', range);
+      await tx.run("DELETE FROM prices WHERE network = ? AND source = 'chainlink' AND block_number > ? AND block_number <= ?", range);
+      await tx.run('DELETE FROM blocks WHERE network = ? AND number > ? AND number <= ?', range);
+      await tx.run(
+        'INSERT OR REPLACE INTO ingestion_cursors (network, name, block_number, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)',
+        [network, cursorName, commonAncestor]
+      );
+
+      const reorg = {
+        detectedAtBlock,
+        commonAncestor,
+        depth: oldHead - commonAncestor,
+        oldHeadBlock: oldHead,
+        oldHeadHash,
+        newParentHash,
+        orphanedBlocks: Number(orphanedBlocks),
+        orphanedTransactions: Number(orphanedTransactions)
+      };
+
+      await tx.run(`
+        INSERT INTO reorg_events
+        (network, detected_at_block, common_ancestor, depth, old_head_block, old_head_hash, new_parent_hash, orphaned_blocks, orphaned_transactions)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        network,
+        reorg.detectedAtBlock,
+        reorg.commonAncestor,
+        reorg.depth,
+        reorg.oldHeadBlock,
+        reorg.oldHeadHash,
+        reorg.newParentHash,
+        reorg.orphanedBlocks,
+        reorg.orphanedTransactions
+      ]);
+
+      return reorg;
     });
   }
 
-  async insertTransaction(tx) {
+  async getReorgEvents(network, limit = 100) {
+    const sql = `
+      SELECT * FROM reorg_events
+      WHERE network = ?
+      ORDER BY id DESC
+      LIMIT ?
+    `;
+    return this.query(sql, [network, limit]);
+  }
+
+  // Get the set of block numbers in [fromBlock, toBlock] that are already stored
+  async getStoredBlockNumbers(network, fromBlock, toBlock) {
+    const sql = 'SELECT number FROM blocks WHERE network = ? AND number BETWEEN ? AND ?';
+    const results = await this.query(sql, [network, fromBlock, toBlock]);
+    return new Set(results.map(row => Number(row.number)));
+  }
+
+  // Blob usage per block since Cancun; blobs are a fixed GAS_PER_BLOB of blob gas each
+  async getBlobBlocks(network, limit = 100) {
+    const sql = `
+      SELECT
+        b.number,
+        b.timestamp,
+        b.blob_gas_used,
+        b.excess_blob_gas,
+        b.blob_base_fee,
+        b.blob_gas_used // ${GAS_PER_BLOB} as blob_count,
+        COUNT(t.hash) as blob_tx_count
+      FROM blocks b
+      LEFT JOIN transactions t ON t.network = b.network AND t.block_number = b.number AND t.blob_count > 0
+      WHERE b.network = ? AND b.blob_gas_used IS NOT NULL
+      GROUP BY b.number, b.timestamp, b.blob_gas_used, b.excess_blob_gas, b.blob_base_fee
+      ORDER BY b.number DESC
+      LIMIT ?
+    `;
+    return this.query(sql, [network, limit]);
+  }
+
+  // Blob posters (mostly rollup batchers) ranked by blobs posted, with the
+  // blob fee they paid at each block's blob base fee
+  async getBlobSenders(network, limit = 10, fromBlock = null) {
+    const sql = `
+      SELECT
+        t.from_address,
+        COUNT(*) as blob_tx_count,
+        SUM(t.blob_count) as blob_count,
+        SUM(t.blob_count) * ${GAS_PER_BLOB} as blob_gas,
+        CAST(SUM(t.blob_count * ${GAS_PER_BLOB} * CAST(b.blob_base_fee AS HUGEINT)) AS VARCHAR) as blob_fee_wei,
+        MAX(t.block_number) as last_block
+      FROM transactions t
+      LEFT JOIN blocks b ON b.network = t.network AND b.number = t.block_number
+      WHERE t.network = ? AND t.blob_count > 0
+      ${fromBlock !== null ? 'AND t.block_number >= ?' : ''}
+      GROUP BY t.from_address
+      ORDER BY blob_count DESC
+      LIMIT ?
+    `;
+    return this.query(sql, fromBlock !== null ? [network, fromBlock, limit] : [network, limit]);
+  }
+
+  async insertTransaction(network, tx) {
     const insertSQL = `
       INSERT OR REPLACE INTO transactions 
-      (hash, block_number, from_address, to_address, value, gas_price, gas_limit, nonce, data)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      (network, hash, block_number, from_address, to_address, value, gas_price, gas_limit, nonce, data,
+       tx_type, max_fee_per_gas, max_priority_fee_per_gas, chain_id, access_list,
+       max_fee_per_blob_gas, blob_versioned_hashes, blob_count, method_selector, method_name, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+              (SELECT name FROM method_signatures WHERE selector = ?),
+              COALESCE(epoch_ms(?), CURRENT_TIMESTAMP))
     `;
 
     const params = [
+      network,
       tx.hash,
       tx.blockNumber,
       tx.from,
@@ -100,7 +848,22 @@ class TransactionDatabase {
       tx.gasPrice ? tx.gasPrice.toString() : '0',
       tx.gasLimit ? tx.gasLimit.toString() : '0',
       tx.nonce,
-      tx.data || ''
+      tx.data || '',
+      tx.type ?? 0,
+      tx.maxFeePerGas ? tx.maxFeePerGas.toString() : null,
+      tx.maxPriorityFeePerGas ? tx.maxPriorityFeePerGas.toString() : null,
+      tx.chainId ? tx.chainId.toString() : null,
+      // Stored as JSON; null for legacy transactions that can't carry one
+      tx.accessList ? JSON.stringify(tx.accessList) : null,
+      // Only blob-carrying (type 3) transactions have these
+      tx.maxFeePerBlobGas ? tx.maxFeePerBlobGas.toString() : null,
+      tx.blobVersionedHashes ? JSON.stringify(tx.blobVersionedHashes) : null,
+      tx.blobVersionedHashes ? tx.blobVersionedHashes.length : null,
+      // The method name is looked up in method_signatures by selector
+      tx.methodSelector || null,
+      tx.methodSelector || null,
+      // Block timestamp (seconds); falls back to insert time when unknown
+      tx.timestamp ? tx.timestamp * 1000 : null
     ];
 
     return new Promise((resolve, reject) => {
@@ -114,48 +877,795 @@ class TransactionDatabase {
     });
   }
 
-  async insertTransactions(transactions) {
+  async insertTransactions(network, transactions) {
     try {
       // Use batch insert for better performance
-      const promises = transactions.map(tx => this.insertTransaction(tx));
+      const promises = transactions.map(tx => this.insertTransaction(network, tx));
       await Promise.all(promises);
     } catch (error) {
       throw error;
     }
   }
 
-  async query(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.conn.all(sql, ...params, (err, results) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        resolve(results || []);
-      });
-    });
+  // Add the built-in common signatures without overriding imported ones
+  async seedMethodSignatures() {
+    await Promise.all(COMMON_SIGNATURES.map(text => {
+      const { selector, signature, name } = parseSignature(text);
+      return this.run(
+        'INSERT OR IGNORE INTO method_signatures (selector, signature, name) VALUES (?, ?, ?)',
+        [selector, signature, name]
+      );
+    }));
+  }
+
+  // Store parsed signatures (imports replace an existing signature for the same
+  // selector), then name the stored transactions that call them
+  async importMethodSignatures(signatures) {
+    await Promise.all(signatures.map(({ selector, signature, name }) => this.run(
+      'INSERT OR REPLACE INTO method_signatures (selector, signature, name) VALUES (?, ?, ?)',
+      [selector, signature, name]
+    )));
+
+    const [{ count }] = await this.query(`
+      SELECT COUNT(*) AS count FROM transactions t
+      JOIN method_signatures s ON s.selector = t.method_selector
+      WHERE t.method_name IS DISTINCT FROM s.name
+    `);
+    await this.run(`
+      UPDATE transactions SET method_name = s.name
+      FROM method_signatures s
+      WHERE s.selector = transactions.method_selector
+        AND transactions.method_name IS DISTINCT FROM s.name
+    `);
+    return Number(count);
+  }
+
+  async getMethodSignature(selector) {
+    const rows = await this.query('SELECT * FROM method_signatures WHERE selector = LOWER(?)', [selector]);
+    return rows[0] || null;
+  }
+
+  async countMethodSignatures() {
+    const [{ count }] = await this.query('SELECT COUNT(*) AS count FROM method_signatures');
+    return Number(count);
+  }
+
+  // Addresses are stored checksummed; uploading again replaces the ABI
+  async upsertContractAbi(network, address, name, abi) {
+    await this.run(
+      'INSERT OR REPLACE INTO contract_abis (network, address, name, abi) VALUES (?, ?, ?, ?)',
+      [network, address, name, abi]
+    );
+  }
+
+  async getContractAbi(network, address) {
+    const rows = await this.query(
+      'SELECT * FROM contract_abis WHERE network = ? AND address = ?',
+      [network, address]
+    );
+    return rows[0] || null;
+  }
+
+  // ABIs for several addresses at once, keyed by address
+  async getContractAbis(network, addresses) {
+    if (addresses.length === 0) return new Map();
+    const rows = await this.query(
+      `SELECT * FROM contract_abis WHERE network = ? AND address IN (${addresses.map(() => '?').join(', ')})`,
+      [network, ...addresses]
+    );
+    return new Map(rows.map(row => [row.address, row]));
+  }
+
+  async listContractAbis(network, limit = 100) {
+    const sql = `
+      SELECT address, name, created_at FROM contract_abis
+      WHERE network = ?
+      ORDER BY created_at DESC
+      LIMIT ?
+    `;
+    return this.query(sql, [network, limit]);
+  }
+
+  // Returns whether an ABI was stored for the address
+  async deleteContractAbi(network, address) {
+    const existing = await this.getContractAbi(network, address);
+    if (!existing) return false;
+    await this.run('DELETE FROM contract_abis WHERE network = ? AND address = ?', [network, address]);
+    return true;
+  }
+
+  async insertPrice(network, price) {
+    await this.run(`
+      INSERT OR REPLACE INTO prices (network, asset, timestamp, price_usd, decimals, block_number, source)
+      VALUES (?, ?, epoch_ms(?), ?, ?, ?, ?)
+    `, [network, price.asset, price.timestamp, price.priceUsd, price.decimals, price.blockNumber, price.source]);
+  }
+
+  async insertPrices(network, prices) {
+    await Promise.all(prices.map(price => this.insertPrice(network, price)));
+  }
+
+  async listPrices(network, { asset = null, limit = 100 } = {}) {
+    const conditions = ['network = ?'];
+    const params = [network];
+    if (asset) {
+      conditions.push('asset = ?');
+      params.push(asset);
+    }
+    const sql = `
+      SELECT * FROM prices
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY timestamp DESC
+      LIMIT ?
+    `;
+    return this.query(sql, [...params, limit]);
+  }
+
+  // The price in effect at a time: the latest point at or before it
+  async getPriceAt(network, asset, timestampMs) {
+    const rows = await this.query(`
+      SELECT * FROM prices
+      WHERE network = ? AND asset = ? AND timestamp <= epoch_ms(?)
+      ORDER BY timestamp DESC
+      LIMIT 1
+    `, [network, asset, timestampMs]);
+    return rows[0] || null;
+  }
+
+  async insertWithdrawal(network, withdrawal) {
+    await this.run(`
+      INSERT OR REPLACE INTO withdrawals
+      (network, withdrawal_index, validator_index, address, amount_gwei, block_number, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, epoch_ms(?))
+    `, [
+      network,
+      withdrawal.index,
+      withdrawal.validatorIndex,
+      withdrawal.address,
+      withdrawal.amountGwei,
+      withdrawal.blockNumber,
+      withdrawal.timestamp * 1000
+    ]);
+  }
+
+  async insertWithdrawals(network, withdrawals) {
+    await Promise.all(withdrawals.map(withdrawal => this.insertWithdrawal(network, withdrawal)));
+  }
+
+  async getWithdrawalsByAddress(network, address, { fromBlock, toBlock, limit = 100 } = {}) {
+    const { where, params } = withdrawalFilter(network, { address, fromBlock, toBlock });
+    const sql = `
+      SELECT * FROM withdrawals
+      WHERE ${where}
+      ORDER BY withdrawal_index DESC
+      LIMIT ?
+    `;
+    return this.query(sql, [...params, limit]);
+  }
+
+  async getWithdrawalsByBlock(network, blockNumber) {
+    return this.query(
+      'SELECT * FROM withdrawals WHERE network = ? AND block_number = ? ORDER BY withdrawal_index',
+      [network, blockNumber]
+    );
+  }
+
+  // Totals for one address over an optional block range
+  async getWithdrawalTotals(network, address, { fromBlock, toBlock } = {}) {
+    const { where, params } = withdrawalFilter(network, { address, fromBlock, toBlock });
+    const sql = `
+      SELECT
+        COUNT(*) as withdrawal_count,
+        COUNT(DISTINCT validator_index) as validator_count,
+        CAST(COALESCE(SUM(amount_gwei), 0) AS VARCHAR) as total_gwei,
+        COALESCE(CAST(SUM(amount_gwei) AS DOUBLE), 0) / 1000000000 as total_eth,
+        MIN(block_number) as first_block,
+        MAX(block_number) as last_block
+      FROM withdrawals
+      WHERE ${where}
+    `;
+    const rows = await this.query(sql, params);
+    return rows[0];
   }
 
-  async getRecentTransactions(limit = 100) {
+  // Withdrawal recipients (validator fee recipients, staking pools) ranked by ETH received
+  async getWithdrawalRecipients(network, { fromBlock, toBlock, limit = 10 } = {}) {
+    const { where, params } = withdrawalFilter(network, { fromBlock, toBlock });
     const sql = `
-      SELECT * FROM transactions 
-      ORDER BY created_at DESC 
+      SELECT
+        address,
+        COUNT(*) as withdrawal_count,
+        COUNT(DISTINCT validator_index) as validator_count,
+        CAST(SUM(amount_gwei) AS VARCHAR) as total_gwei,
+        CAST(SUM(amount_gwei) AS DOUBLE) / 1000000000 as total_eth,
+        MAX(block_number) as last_block
+      FROM withdrawals
+      WHERE ${where}
+      GROUP BY address
+      ORDER BY SUM(amount_gwei) DESC
       LIMIT ?
     `;
-    return this.query(sql, [limit]);
+    return this.query(sql, [...params, limit]);
   }
 
-  async getTransactionsByAddress(address, limit = 100) {
+  async getWithdrawalBlocks(network, { fromBlock, toBlock, limit = 100 } = {}) {
+    const { where, params } = withdrawalFilter(network, { fromBlock, toBlock });
     const sql = `
-      SELECT * FROM transactions 
-      WHERE from_address = ? OR to_address = ?
-      ORDER BY created_at DESC 
+      SELECT
+        block_number,
+        MIN(timestamp) as timestamp,
+        COUNT(*) as withdrawal_count,
+        CAST(SUM(amount_gwei) AS VARCHAR) as total_gwei,
+        CAST(SUM(amount_gwei) AS DOUBLE) / 1000000000 as total_eth
+      FROM withdrawals
+      WHERE ${where}
+      GROUP BY block_number
+      ORDER BY block_number DESC
       LIMIT ?
     `;
-    return this.query(sql, [address, address, limit]);
+    return this.query(sql, [...params, limit]);
+  }
+
+  // A deployment also classifies its address as a contract
+  async insertContract(network, contract) {
+    await this.run(`
+      INSERT OR REPLACE INTO contracts
+      (network, address, deployer, transaction_hash, block_number, bytecode_hash, code_size)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      network,
+      contract.address,
+      contract.deployer,
+      contract.transactionHash,
+      contract.blockNumber,
+      contract.codeHash,
+      contract.codeSize
+    ]);
+    await this.upsertAddressType(network, contract.address, contract);
+  }
+
+  async insertContracts(network, contracts) {
+    await Promise.all(contracts.map(contract => this.insertContract(network, contract)));
+  }
+
+  async getContract(network, address) {
+    const rows = await this.query('SELECT * FROM contracts WHERE network = ? AND address = ?', [network, address]);
+    return rows[0] || null;
+  }
+
+  async listContracts(network, { deployer = null, limit = 100 } = {}) {
+    const conditions = ['network = ?'];
+    const params = [network];
+    if (deployer) {
+      conditions.push('deployer = ?');
+      params.push(deployer);
+    }
+    const sql = `
+      SELECT * FROM contracts
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY block_number DESC
+      LIMIT ?
+    `;
+    return this.query(sql, [...params, limit]);
+  }
+
+  async upsertAddressType(network, address, { type, codeHash, codeSize, delegatedTo }) {
+    await this.run(`
+      INSERT OR REPLACE INTO address_types (network, address, type, code_hash, code_size, delegated_to, checked_at)
+      VALUES (?, ?, ?, ?, ?, ?, epoch_ms(?))
+    `, [network, address, type, codeHash, codeSize, delegatedTo, Date.now()]);
+  }
+
+  // Cached classification: contracts always, EOAs only if checked within ttlMs
+  async getAddressType(network, address, ttlMs) {
+    const rows = await this.query(`
+      SELECT * FROM address_types
+      WHERE network = ? AND address = ? AND (type = 'contract' OR checked_at >= epoch_ms(?))
+    `, [network, address, Date.now() - ttlMs]);
+    return rows[0] || null;
+  }
+
+  // Which of several addresses have a cached classification (same rules as getAddressType)
+  async getClassifiedAddresses(network, addresses, ttlMs) {
+    if (addresses.length === 0) return new Set();
+    const rows = await this.query(`
+      SELECT address FROM address_types
+      WHERE network = ? AND address IN (${addresses.map(() => '?').join(', ')})
+        AND (type = 'contract' OR checked_at >= epoch_ms(?))
+    `, [network, ...addresses, Date.now() - ttlMs]);
+    return new Set(rows.map(row => row.address));
+  }
+
+  async upsertAddressTypes(network, addressTypes) {
+    await Promise.all(addressTypes.map(({ address, ...classification }) => this.upsertAddressType(network, address, classification)));
+  }
+
+  // One label per address; saving again replaces it
+  async upsertAddressLabel(network, { address, label, entity, category }) {
+    await this.run(
+      'INSERT OR REPLACE INTO address_labels (network, address, label, entity, category, updated_at) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
+      [network, address, label, entity, category]
+    );
+  }
+
+  async upsertAddressLabels(network, labels) {
+    await Promise.all(labels.map(label => this.upsertAddressLabel(network, label)));
+  }
+
+  async getAddressLabel(network, address) {
+    const rows = await this.query(
+      'SELECT * FROM address_labels WHERE network = ? AND address = ?',
+      [network, address]
+    );
+    return rows[0] || null;
+  }
+
+  // Labels for several addresses at once, keyed by address
+  async getAddressLabels(network, addresses) {
+    if (addresses.length === 0) return new Map();
+    const rows = await this.query(
+      `SELECT * FROM address_labels WHERE network = ? AND address IN (${addresses.map(() => '?').join(', ')})`,
+      [network, ...addresses]
+    );
+    return new Map(rows.map(row => [row.address, row]));
+  }
+
+  // Entity and category filters match case-insensitively
+  async listAddressLabels(network, { entity = null, category = null, limit = 100 } = {}) {
+    const conditions = ['network = ?'];
+    const params = [network];
+    if (entity) {
+      conditions.push('LOWER(entity) = LOWER(?)');
+      params.push(entity);
+    }
+    if (category) {
+      conditions.push('category = LOWER(?)');
+      params.push(category);
+    }
+    const sql = `
+      SELECT * FROM address_labels
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY entity NULLS LAST, label
+      LIMIT ?
+    `;
+    return this.query(sql, [...params, limit]);
+  }
+
+  // Distinct labeled entities with how many addresses each has
+  async getLabelEntities(network) {
+    return this.query(`
+      SELECT entity, COUNT(*) AS address_count FROM address_labels
+      WHERE network = ? AND entity IS NOT NULL
+      GROUP BY entity
+      ORDER BY address_count DESC, entity
+    `, [network]);
+  }
+
+  // Returns whether a label was stored for the address
+  async deleteAddressLabel(network, address) {
+    const existing = await this.getAddressLabel(network, address);
+    if (!existing) return false;
+    await this.run('DELETE FROM address_labels WHERE network = ? AND address = ?', [network, address]);
+    return true;
+  }
+
+  async upsertEnsName(address, name) {
+    await this.run(
+      'INSERT OR REPLACE INTO ens_names (address, name, resolved_at) VALUES (?, ?, epoch_ms(?))',
+      [address, name, Date.now()]
+    );
+  }
+
+  // Cached names keyed by address, each flagged expired once older than ttlMs
+  async getEnsNames(addresses, ttlMs) {
+    if (addresses.length === 0) return new Map();
+    const rows = await this.query(
+      `SELECT address, name, resolved_at < epoch_ms(?) AS expired FROM ens_names
+       WHERE address IN (${addresses.map(() => '?').join(', ')})`,
+      [Date.now() - ttlMs, ...addresses]
+    );
+    return new Map(rows.map(row => [row.address, { name: row.name, expired: row.expired }]));
+  }
+
+  // Address whose unexpired primary name is the given name, if cached
+  async getEnsAddress(name, ttlMs) {
+    const rows = await this.query(
+      'SELECT address FROM ens_names WHERE name = LOWER(?) AND resolved_at >= epoch_ms(?) LIMIT 1',
+      [name, Date.now() - ttlMs]
+    );
+    return rows[0] ? rows[0].address : null;
+  }
+
+  async insertReceipt(network, receipt) {
+    const insertSQL = `
+      INSERT OR REPLACE INTO receipts
+      (network, hash, block_number, transaction_index, status, gas_used, cumulative_gas_used, effective_gas_price, contract_address, logs_count)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+      network,
+      receipt.hash,
+      receipt.blockNumber,
+      receipt.transactionIndex,
+      receipt.status ?? null,
+      receipt.gasUsed ? receipt.gasUsed.toString() : '0',
+      receipt.cumulativeGasUsed ? receipt.cumulativeGasUsed.toString() : '0',
+      receipt.effectiveGasPrice ? receipt.effectiveGasPrice.toString() : null,
+      receipt.contractAddress || null,
+      receipt.logsCount || 0
+    ];
+
+    return this.run(insertSQL, params);
+  }
+
+  async insertReceipts(network, receipts) {
+    await Promise.all(receipts.map(receipt => this.insertReceipt(network, receipt)));
+  }
+
+  async insertLog(network, log) {
+    const insertSQL = `
+      INSERT OR REPLACE INTO logs
+      (network, transaction_hash, log_index, block_number, address, topic0, topic1, topic2, topic3, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const topics = log.topics || [];
+    const params = [
+      network,
+      log.transactionHash,
+      log.logIndex,
+      log.blockNumber,
+      log.address,
+      topics[0] || null,
+      topics[1] || null,
+      topics[2] || null,
+      topics[3] || null,
+      log.data || '0x'
+    ];
+
+    return this.run(insertSQL, params);
+  }
+
+  async insertLogs(network, logs) {
+    await Promise.all(logs.map(log => this.insertLog(network, log)));
+  }
+
+  // Filter logs by contract address, topic0 and block range (all optional)
+  async getLogs(network, { address, topic0, fromBlock, toBlock, limit = 100 } = {}) {
+    const conditions = ['network = ?'];
+    const params = [network];
+
+    if (address) {
+      conditions.push('LOWER(address) = LOWER(?)');
+      params.push(address);
+    }
+    if (topic0) {
+      conditions.push('LOWER(topic0) = LOWER(?)');
+      params.push(topic0);
+    }
+    if (fromBlock !== undefined) {
+      conditions.push('block_number >= ?');
+      params.push(fromBlock);
+    }
+    if (toBlock !== undefined) {
+      conditions.push('block_number <= ?');
+      params.push(toBlock);
+    }
+
+    const sql = `
+      SELECT * FROM logs
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY block_number DESC, log_index DESC
+      LIMIT ?
+    `;
+    return this.query(sql, [...params, limit]);
+  }
+
+  async insertTokenTransfer(network, transfer) {
+    const insertSQL = `
+      INSERT OR REPLACE INTO token_transfers
+      (network, transaction_hash, log_index, block_number, token_address, from_address, to_address, amount)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+      network,
+      transfer.transactionHash,
+      transfer.logIndex,
+      transfer.blockNumber,
+      transfer.token,
+      transfer.from,
+      transfer.to,
+      transfer.amount
+    ];
+
+    return this.run(insertSQL, params);
+  }
+
+  async insertTokenTransfers(network, transfers) {
+    await Promise.all(transfers.map(transfer => this.insertTokenTransfer(network, transfer)));
+  }
+
+  async getTokenTransfers(network, tokenAddress, limit = 100) {
+    const sql = `
+      SELECT tt.*, ${TOKEN_TRANSFER_USD_COLUMNS}
+      FROM (
+        SELECT tt.*, t.timestamp FROM token_transfers tt
+        LEFT JOIN transactions t ON t.network = tt.network AND t.hash = tt.transaction_hash
+        WHERE tt.network = ? AND LOWER(tt.token_address) = LOWER(?)
+        ORDER BY tt.block_number DESC, tt.log_index DESC
+        LIMIT ?
+      ) tt
+      ${TOKEN_PRICE_JOIN}
+      ORDER BY tt.block_number DESC, tt.log_index DESC
+    `;
+    return this.query(sql, [network, tokenAddress, limit]);
+  }
+
+  // Most active tokens by transfer count, optionally since a block
+  async getTopTokens(network, limit = 10, fromBlock = null) {
+    const sql = `
+      SELECT
+        token_address,
+        COUNT(*) as transfer_count,
+        COUNT(DISTINCT from_address) as unique_senders,
+        COUNT(DISTINCT to_address) as unique_receivers,
+        MAX(block_number) as last_block
+      FROM token_transfers
+      WHERE network = ?
+      ${fromBlock !== null ? 'AND block_number >= ?' : ''}
+      GROUP BY token_address
+      ORDER BY transfer_count DESC
+      LIMIT ?
+    `;
+    return this.query(sql, fromBlock !== null ? [network, fromBlock, limit] : [network, limit]);
+  }
+
+  async insertNftTransfer(network, transfer) {
+    const insertSQL = `
+      INSERT OR REPLACE INTO nft_transfers
+      (network, transaction_hash, log_index, batch_index, block_number, collection_address, token_standard, token_id, quantity, operator_address, from_address, to_address)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+      network,
+      transfer.transactionHash,
+      transfer.logIndex,
+      transfer.batchIndex,
+      transfer.blockNumber,
+      transfer.collection,
+      transfer.standard,
+      transfer.tokenId,
+      transfer.quantity,
+      transfer.operator,
+      transfer.from,
+      transfer.to
+    ];
+
+    return this.run(insertSQL, params);
+  }
+
+  async insertNftTransfers(network, transfers) {
+    await Promise.all(transfers.map(transfer => this.insertNftTransfer(network, transfer)));
+  }
+
+  async insertInternalTransfer(network, transfer) {
+    const insertSQL = `
+      INSERT OR REPLACE INTO internal_transfers
+      (network, transaction_hash, trace_address, block_number, depth, call_type, from_address, to_address, value, error)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+      network,
+      transfer.transactionHash,
+      transfer.traceAddress,
+      transfer.blockNumber,
+      transfer.depth,
+      transfer.callType,
+      transfer.from,
+      transfer.to,
+      transfer.value,
+      transfer.error
+    ];
+
+    return this.run(insertSQL, params);
+  }
+
+  async insertInternalTransfers(network, transfers) {
+    await Promise.all(transfers.map(transfer => this.insertInternalTransfer(network, transfer)));
+  }
+
+  // Filter internal transfers by address (sender or recipient), transaction and block range (all optional)
+  async getInternalTransfers(network, { address, transactionHash, fromBlock, toBlock, limit = 100 } = {}) {
+    const conditions = ['network = ?'];
+    const params = [network];
+
+    if (address) {
+      conditions.push('(LOWER(from_address) = LOWER(?) OR LOWER(to_address) = LOWER(?))');
+      params.push(address, address);
+    }
+    if (transactionHash) {
+      conditions.push('LOWER(transaction_hash) = LOWER(?)');
+      params.push(transactionHash);
+    }
+    if (fromBlock !== undefined) {
+      conditions.push('block_number >= ?');
+      params.push(fromBlock);
+    }
+    if (toBlock !== undefined) {
+      conditions.push('block_number <= ?');
+      params.push(toBlock);
+    }
+
+    const sql = `
+      SELECT * FROM internal_transfers
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY block_number DESC, transaction_hash, trace_address
+      LIMIT ?
+    `;
+    return this.query(sql, [...params, limit]);
+  }
+
+  async getNftCollectionTransfers(network, collectionAddress, limit = 100) {
+    const sql = `
+      SELECT * FROM nft_transfers
+      WHERE network = ? AND LOWER(collection_address) = LOWER(?)
+      ORDER BY block_number DESC, log_index DESC, batch_index
+      LIMIT ?
+    `;
+    return this.query(sql, [network, collectionAddress, limit]);
+  }
+
+  async getNftCollectionStats(network, collectionAddress) {
+    const sql = `
+      SELECT
+        COUNT(*) as transfer_count,
+        COUNT(DISTINCT token_id) as unique_tokens,
+        COUNT(DISTINCT from_address) as unique_senders,
+        COUNT(DISTINCT to_address) as unique_receivers,
+        MIN(token_standard) as token_standard,
+        MIN(block_number) as first_block,
+        MAX(block_number) as last_block
+      FROM nft_transfers
+      WHERE network = ? AND LOWER(collection_address) = LOWER(?)
+    `;
+    const results = await this.query(sql, [network, collectionAddress]);
+    return results[0] || {};
+  }
+
+  // NFTs sent or received by an address
+  async getNftTransfersByAddress(network, address, limit = 100) {
+    const sql = `
+      SELECT * FROM nft_transfers
+      WHERE network = ? AND (LOWER(from_address) = LOWER(?) OR LOWER(to_address) = LOWER(?))
+      ORDER BY block_number DESC, log_index DESC, batch_index
+      LIMIT ?
+    `;
+    return this.query(sql, [network, address, address, limit]);
+  }
+
+  async insertMempoolSighting(network, sighting) {
+    // Keep the earliest sighting if the transaction was already recorded
+    const insertSQL = `
+      INSERT OR IGNORE INTO mempool_sightings
+      (network, hash, first_seen_at, source, from_address, to_address, nonce, gas_price, max_fee_per_gas, max_priority_fee_per_gas)
+      VALUES (?, ?, epoch_ms(?), ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+      network,
+      sighting.hash,
+      sighting.firstSeenAt,
+      sighting.source,
+      // Only txpool_content gives transaction details; subscriptions announce hashes only
+      sighting.from || null,
+      sighting.to || null,
+      sighting.nonce ?? null,
+      sighting.gasPrice ? sighting.gasPrice.toString() : null,
+      sighting.maxFeePerGas ? sighting.maxFeePerGas.toString() : null,
+      sighting.maxPriorityFeePerGas ? sighting.maxPriorityFeePerGas.toString() : null
+    ];
+    return this.run(insertSQL, params);
+  }
+
+  async insertMempoolSightings(network, sightings) {
+    await Promise.all(sightings.map(sighting => this.insertMempoolSighting(network, sighting)));
+  }
+
+  // Flag a block's transactions as seen in the mempool or not, with the time from
+  // first sighting to the block timestamp (negative if first seen after it)
+  async markMempoolInclusion(network, blockNumber) {
+    const sql = `
+      UPDATE transactions SET
+        seen_in_mempool = EXISTS (
+          SELECT 1 FROM mempool_sightings m
+          WHERE m.network = transactions.network AND m.hash = transactions.hash
+        ),
+        inclusion_latency_ms = (
+          SELECT epoch_ms(transactions.timestamp) - epoch_ms(m.first_seen_at)
+          FROM mempool_sightings m
+          WHERE m.network = transactions.network AND m.hash = transactions.hash
+        )
+      WHERE network = ? AND block_number = ?
+    `;
+    return this.run(sql, [network, blockNumber]);
+  }
+
+  // Sightings that have not been mined (as far as ingested blocks show)
+  async getPendingSightings(network, limit = 100) {
+    const sql = `
+      SELECT m.* FROM mempool_sightings m
+      LEFT JOIN transactions t ON t.network = m.network AND t.hash = m.hash
+      WHERE m.network = ? AND t.hash IS NULL
+      ORDER BY m.first_seen_at DESC
+      LIMIT ?
+    `;
+    return this.query(sql, [network, limit]);
+  }
+
+  // Share of mined transactions seen in the mempool first, and how long they waited
+  async getMempoolStats(network, fromBlock = null) {
+    const sql = `
+      SELECT
+        COUNT(*) as mined_transactions,
+        COUNT(*) FILTER (WHERE seen_in_mempool) as seen_in_mempool,
+        COUNT(*) FILTER (WHERE NOT seen_in_mempool) as not_seen_in_mempool,
+        ROUND(COUNT(*) FILTER (WHERE seen_in_mempool) * 100.0 / NULLIF(COUNT(*), 0), 2) as seen_pct,
+        AVG(inclusion_latency_ms) as avg_inclusion_latency_ms,
+        MEDIAN(inclusion_latency_ms) as median_inclusion_latency_ms,
+        MIN(block_number) as first_block,
+        MAX(block_number) as last_block
+      FROM transactions
+      WHERE network = ? AND seen_in_mempool IS NOT NULL
+      ${fromBlock !== null ? 'AND block_number >= ?' : ''}
+    `;
+    const results = await this.query(sql, fromBlock !== null ? [network, fromBlock] : [network]);
+    return results[0] || {};
+  }
+
+  // Drop sightings older than the retention window
+  async pruneMempoolSightings(retentionMs) {
+    return this.run('DELETE FROM mempool_sightings WHERE first_seen_at < epoch_ms(?)', [Date.now() - retentionMs]);
+  }
+
+  async query(sql, params = []) {
+    return queryOn(this.conn, sql, params);
+  }
+
+  async getRecentTransactions(network, limit = 100) {
+    const sql = `
+      SELECT t.*, ${TRANSACTION_USD_COLUMNS}
+      FROM (
+        SELECT * FROM transactions
+        WHERE network = ?
+        ORDER BY created_at DESC
+        LIMIT ?
+      ) t
+      ${ETH_PRICE_JOIN}
+      ORDER BY t.created_at DESC
+    `;
+    return this.query(sql, [network, limit]);
+  }
+
+  async getTransactionsByAddress(network, address, limit = 100) {
+    const sql = `
+      SELECT t.*, ${TRANSACTION_USD_COLUMNS}
+      FROM (
+        SELECT * FROM transactions
+        WHERE network = ? AND (from_address = ? OR to_address = ?)
+        ORDER BY created_at DESC
+        LIMIT ?
+      ) t
+      ${ETH_PRICE_JOIN}
+      ORDER BY t.created_at DESC
+    `;
+    return this.query(sql, [network, address, address, limit]);
   }
 
-  async getTransactionStats() {
+  async getTransactionStats(network) {
     const sql = `
       SELECT 
         COUNT(*) as total_transactions,
@@ -165,8 +1675,9 @@ class TransactionDatabase {
         MAX(block_number) as latest_block,
         MIN(block_number) as earliest_block
       FROM transactions
+      WHERE network = ?
     `;
-    const results = await this.query(sql);
+    const results = await this.query(sql, [network]);
     return results[0] || {};
   }
 
@@ -0,0 +1,118 @@
+const { ethers } = require('ethers');
+
+// keccak256('Transfer(address,address,uint256)'), shared by ERC-20 and ERC-721
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+
+// ERC-1155 transfer events
+const TRANSFER_SINGLE_TOPIC = ethers.utils.id('TransferSingle(address,address,address,uint256,uint256)');
+const TRANSFER_BATCH_TOPIC = ethers.utils.id('TransferBatch(address,address,address,uint256[],uint256[])');
+
+// Read an address from a 32-byte indexed topic
+function topicToAddress(topic) {
+  return ethers.utils.getAddress(ethers.utils.hexDataSlice(topic, 12));
+}
+
+// ERC-20 Transfer has two indexed topics (from, to) and the amount in data.
+// ERC-721 uses the same signature but indexes the token id as a third topic.
+function isErc20Transfer(log) {
+  return log.topics &&
+    log.topics.length === 3 &&
+    log.topics[0].toLowerCase() === TRANSFER_TOPIC &&
+    ethers.utils.hexDataLength(log.data || '0x') === 32;
+}
+
+// Decode ERC-20 Transfer events from receipt logs into token transfer rows
+function decodeTokenTransfers(logs) {
+  const transfers = [];
+
+  for (const log of logs) {
+    if (!isErc20Transfer(log)) continue;
+
+    try {
+      transfers.push({
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        blockNumber: log.blockNumber,
+        token: log.address,
+        from: topicToAddress(log.topics[1]),
+        to: topicToAddress(log.topics[2]),
+        amount: ethers.BigNumber.from(log.data).toString()
+      });
+    } catch (error) {
+      // Non-standard contracts can emit malformed topics; skip them
+      console.warn(`Skipping undecodable Transfer log ${log.transactionHash}:${log.logIndex}:`, error.message);
+    }
+  }
+
+  return transfers;
+}
+
+// Decode ERC-721 Transfer and ERC-1155 TransferSingle/TransferBatch events into
+// NFT transfer rows. A batch becomes one row per token id, numbered by batchIndex.
+function decodeNftTransfers(logs) {
+  const transfers = [];
+
+  for (const log of logs) {
+    const topic0 = log.topics && log.topics[0] ? log.topics[0].toLowerCase() : null;
+    const base = {
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex,
+      blockNumber: log.blockNumber,
+      collection: log.address
+    };
+
+    try {
+      if (topic0 === TRANSFER_TOPIC && log.topics.length === 4) {
+        transfers.push({
+          ...base,
+          batchIndex: 0,
+          standard: 'erc721',
+          operator: null,
+          from: topicToAddress(log.topics[1]),
+          to: topicToAddress(log.topics[2]),
+          tokenId: ethers.BigNumber.from(log.topics[3]).toString(),
+          quantity: '1'
+        });
+      } else if (topic0 === TRANSFER_SINGLE_TOPIC && log.topics.length === 4) {
+        const [id, value] = ethers.utils.defaultAbiCoder.decode(['uint256', 'uint256'], log.data);
+        transfers.push({
+          ...base,
+          batchIndex: 0,
+          standard: 'erc1155',
+          operator: topicToAddress(log.topics[1]),
+          from: topicToAddress(log.topics[2]),
+          to: topicToAddress(log.topics[3]),
+          tokenId: id.toString(),
+          quantity: value.toString()
+        });
+      } else if (topic0 === TRANSFER_BATCH_TOPIC && log.topics.length === 4) {
+        const [ids, values] = ethers.utils.defaultAbiCoder.decode(['uint256[]', 'uint256[]'], log.data);
+        ids.forEach((id, index) => {
+          transfers.push({
+            ...base,
+            batchIndex: index,
+            standard: 'erc1155',
+            operator: topicToAddress(log.topics[1]),
+            from: topicToAddress(log.topics[2]),
+            to: topicToAddress(log.topics[3]),
+            tokenId: id.toString(),
+            quantity: values[index] ? values[index].toString() : '0'
+          });
+        });
+      }
+    } catch (error) {
+      console.warn(`Skipping undecodable NFT transfer log ${log.transactionHash}:${log.logIndex}:`, error.message);
+    }
+  }
+
+  return transfers;
+}
+
+module.exports = {
+  TRANSFER_TOPIC,
+  TRANSFER_SINGLE_TOPIC,
+  TRANSFER_BATCH_TOPIC,
+  topicToAddress,
+  decodeTokenTransfers,
+  decodeNftTransfers
+};
@@ -0,0 +1,121 @@
+const { ethers } = require('ethers');
+const config = require('./config');
+const { annotateAddressColumns } = require('./addresses');
+
+// Anything with a dot that isn't a hex address is treated as an ENS name
+function isEnsName(value) {
+  return typeof value === 'string' && value.includes('.') && !ethers.utils.isAddress(value);
+}
+
+// Resolves primary ENS names for addresses, caching results (including "no
+// name") in the ens_names table. Lookups go through the BlockchainService of
+// ENS_NETWORK, since ENS names are registered on Ethereum mainnet (or a testnet).
+class EnsResolver {
+  constructor(database, blockchainService) {
+    this.database = database;
+    this.blockchainService = blockchainService;
+    this.enabled = config.ensEnabled && Boolean(blockchainService);
+    this.pending = new Map(); // address -> in-flight lookup
+    this.refreshQueue = new Set();
+    this.isRefreshing = false;
+  }
+
+  // Reverse-resolve one address and cache the result. ethers' lookupAddress
+  // also resolves the reverse record's name forward and returns null unless it
+  // points back at the address, so spoofed reverse records are never stored.
+  lookupAddress(address) {
+    if (this.pending.has(address)) return this.pending.get(address);
+
+    const lookup = this.blockchainService.executeWithRetry('lookupAddress', address)
+      .then(async (name) => {
+        await this.database.upsertEnsName(address, name);
+        return name;
+      })
+      .catch((error) => {
+        if (error.code === ethers.errors.UNSUPPORTED_OPERATION) {
+          console.warn(`ENS is not available on ${this.blockchainService.network.name}; name resolution disabled`);
+          this.enabled = false;
+        }
+        throw error;
+      })
+      .finally(() => this.pending.delete(address));
+
+    this.pending.set(address, lookup);
+    return lookup;
+  }
+
+  // Resolve expired or not-yet-needed names one at a time, off the request path
+  refresh(address) {
+    if (this.pending.has(address)) return;
+    this.refreshQueue.add(address);
+    if (!this.isRefreshing) this.drainRefreshQueue();
+  }
+
+  async drainRefreshQueue() {
+    this.isRefreshing = true;
+    for (const address of this.refreshQueue) {
+      this.refreshQueue.delete(address);
+      if (!this.enabled) continue;
+      try {
+        await this.lookupAddress(address);
+      } catch (error) {
+        console.warn(`ENS lookup failed for ${address}:`, error.message);
+      }
+    }
+    this.isRefreshing = false;
+  }
+
+  // Names for a set of addresses, as a Map of checksummed address -> name (or
+  // null). Cached names are returned even when expired, and refreshed in the
+  // background. Up to ENS_MAX_LOOKUPS_PER_REQUEST uncached addresses are looked
+  // up before returning; the rest are queued and show up on later requests.
+  async getNames(addresses) {
+    const names = new Map();
+    const unique = [...new Set(
+      addresses.filter(address => address && ethers.utils.isAddress(address)).map(address => ethers.utils.getAddress(address))
+    )];
+    if (!this.enabled || unique.length === 0) return names;
+
+    const cached = await this.database.getEnsNames(unique, config.ensCacheTtlMs);
+    const uncached = [];
+    for (const address of unique) {
+      const entry = cached.get(address);
+      if (!entry) {
+        uncached.push(address);
+        continue;
+      }
+      names.set(address, entry.name);
+      if (entry.expired) this.refresh(address);
+    }
+
+    const lookupNow = uncached.slice(0, config.ensMaxLookupsPerRequest);
+    uncached.slice(config.ensMaxLookupsPerRequest).forEach(address => this.refresh(address));
+
+    const resolved = await Promise.all(lookupNow.map(address => this.lookupAddress(address).catch(() => null)));
+    lookupNow.forEach((address, index) => names.set(address, resolved[index]));
+    return names;
+  }
+
+  async getName(address) {
+    const names = await this.getNames([address]);
+    return names.get(ethers.utils.getAddress(address)) ?? null;
+  }
+
+  // Forward-resolve an ENS name to an address, or null if it doesn't resolve.
+  // A cached primary name already resolves to its address, so it's used first.
+  async resolveName(name) {
+    const cached = await this.database.getEnsAddress(name, config.ensCacheTtlMs);
+    if (cached) return cached;
+    return this.blockchainService.executeWithRetry('resolveName', name);
+  }
+
+  // Copy rows, adding a name column after each address column: from_address -> from_name, address -> name
+  async withNames(rows) {
+    return annotateAddressColumns(rows, 'name', addresses => this.getNames(addresses));
+  }
+}
+
+module.exports = {
+  EnsResolver,
+  isEnsName
+};
@@ -0,0 +1,58 @@
+const { ethers } = require('ethers');
+const { annotateAddressColumns } = require('./addresses');
+const { parseCsvRecords } = require('./csv');
+
+const LABEL_FIELDS = ['address', 'label', 'entity', 'category'];
+
+// Label entries from CSV with a header row naming its columns (address and
+// label are required; entity and category are optional; other columns are ignored)
+function parseLabelsCsv(text) {
+  return parseCsvRecords(text, ['address', 'label']).map(record => {
+    const entry = {};
+    for (const field of LABEL_FIELDS) {
+      if (field in record) entry[field] = record[field];
+    }
+    return entry;
+  });
+}
+
+// Validate one label entry and normalize it for storage: a checksummed address,
+// a trimmed label and optional entity (e.g. "Binance") and lowercase category
+// (e.g. "exchange"). Throws with a readable message when the entry is invalid.
+function normalizeLabel(entry) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error('Label must be an object');
+  }
+  const optional = value => (value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim());
+
+  const address = optional(entry.address);
+  if (!address || !ethers.utils.isAddress(address)) {
+    throw new Error(`Invalid address: ${entry.address}`);
+  }
+  const label = optional(entry.label);
+  if (!label) {
+    throw new Error('label is required');
+  }
+  const category = optional(entry.category);
+
+  return {
+    address: ethers.utils.getAddress(address),
+    label,
+    entity: optional(entry.entity),
+    category: category ? category.toLowerCase() : null
+  };
+}
+
+// Copy rows, adding a label column after each address column: from_address -> from_label, address -> label
+async function withLabels(database, network, rows) {
+  return annotateAddressColumns(rows, 'label', async addresses => {
+    const labels = await database.getAddressLabels(network, addresses);
+    return new Map(Array.from(labels, ([address, entry]) => [address, entry.label]));
+  });
+}
+
+module.exports = {
+  parseLabelsCsv,
+  normalizeLabel,
+  withLabels
+};
@@ -0,0 +1,214 @@
+const { ethers } = require('ethers');
+const config = require('./config');
+const {
+  getMempoolEndpoint,
+  createProvider,
+  createSubscriptionProvider,
+  destroyProvider
+} = require('./providers');
+
+// Watches the mempool of one node and records when each pending transaction was
+// first seen. Sightings are buffered in memory and written in batches, since
+// a busy mempool announces hundreds of transactions per second.
+class MempoolMonitor {
+  constructor(database, network) {
+    this.database = database;
+    this.network = network;
+    this.endpoint = null;
+    this.provider = null;
+    this.active = false;
+    this.isConnected = false;
+    this.reconnectAttempts = 0;
+    // When the feed last started watching without a break (ms), null while it isn't
+    this.feedStartedAt = null;
+
+    // hash -> first-seen time (ms), so a transaction is only recorded once
+    this.knownHashes = new Map();
+    this.buffer = [];
+    this.lastSeenAt = null;
+    this.lastError = null;
+  }
+
+  start() {
+    if (this.active) return;
+
+    this.endpoint = getMempoolEndpoint(this.network);
+    if (!this.endpoint) {
+      console.warn(`[${this.network.name}] Mempool mode '${this.network.mempoolMode}' needs MEMPOOL_RPC_URL or a suitable endpoint; mempool feed disabled`);
+      return;
+    }
+
+    this.active = true;
+    this.reconnectAttempts = 0;
+    console.log(`[${this.network.name}] Starting mempool feed (${this.network.mempoolMode}) on ${this.endpoint.label}`);
+
+    if (this.network.mempoolMode === 'subscribe') {
+      this.connectSubscription();
+    } else {
+      this.provider = createProvider(this.endpoint);
+      this.pollTxpool();
+      this.pollInterval = setInterval(() => this.pollTxpool(), config.mempoolPollIntervalMs);
+    }
+
+    this.flushInterval = setInterval(() => {
+      this.flush().catch(error => {
+        this.lastError = error.message;
+        console.warn(`[${this.network.name}] Failed to store mempool sightings:`, error.message);
+      });
+    }, config.mempoolPollIntervalMs);
+  }
+
+  stop() {
+    this.active = false;
+    this.setConnected(false);
+    clearInterval(this.pollInterval);
+    clearInterval(this.flushInterval);
+    clearTimeout(this.reconnectTimer);
+
+    if (this.provider) {
+      const provider = this.provider;
+      this.provider = null;
+      provider.removeAllListeners();
+      destroyProvider(provider);
+    }
+  }
+
+  setConnected(connected) {
+    if (connected && !this.isConnected) {
+      this.feedStartedAt = Date.now();
+    } else if (!connected) {
+      this.feedStartedAt = null;
+    }
+    this.isConnected = connected;
+  }
+
+  // Whether the feed has been watching without a break since a time (ms). Only
+  // then does a mined transaction missing from the sightings mean it was private.
+  coveredSince(time) {
+    return this.active && this.isConnected && this.feedStartedAt !== null && this.feedStartedAt <= time;
+  }
+
+  // Record a pending transaction the first time it is seen
+  recordSighting(sighting) {
+    if (this.knownHashes.has(sighting.hash)) return;
+
+    const seenAt = Date.now();
+    this.knownHashes.set(sighting.hash, seenAt);
+    this.buffer.push({ ...sighting, firstSeenAt: seenAt });
+    this.lastSeenAt = seenAt;
+  }
+
+  // Write buffered sightings. Block ingestion calls this before matching mined
+  // transactions, so a transaction seen just before its block still counts.
+  // Writes are chained so a caller also waits for any write already in flight.
+  flush() {
+    this.pendingFlush = (this.pendingFlush || Promise.resolve())
+      .catch(() => {})
+      .then(() => this.writeSightings());
+    return this.pendingFlush;
+  }
+
+  async writeSightings() {
+    const sightings = this.buffer;
+    this.buffer = [];
+    if (sightings.length > 0) {
+      await this.database.insertMempoolSightings(this.network.name, sightings);
+    }
+
+    // Forget hashes past retention so the dedupe map stays bounded
+    const cutoff = Date.now() - config.mempoolRetentionMs;
+    for (const [hash, seenAt] of this.knownHashes) {
+      if (seenAt >= cutoff) break;
+      this.knownHashes.delete(hash);
+    }
+  }
+
+  // newPendingTransactions only announces hashes
+  connectSubscription() {
+    const provider = createSubscriptionProvider(this.endpoint);
+    this.provider = provider;
+
+    provider.websocket.addEventListener('open', () => {
+      console.log(`[${this.network.name}] Subscribed to pending transactions on ${this.endpoint.label}`);
+      this.setConnected(true);
+      this.reconnectAttempts = 0;
+    });
+
+    provider.websocket.addEventListener('close', () => {
+      this.handleSubscriptionClosed(provider);
+    });
+
+    provider.on('pending', (hash) => {
+      this.recordSighting({ hash, source: 'subscription' });
+    });
+  }
+
+  handleSubscriptionClosed(provider) {
+    // Ignore late events from a provider we've already replaced
+    if (provider !== this.provider) return;
+
+    provider.removeAllListeners();
+    this.provider = null;
+    this.setConnected(false);
+
+    if (!this.active) return;
+
+    const delay = Math.min(
+      config.reconnectBaseDelayMs * 2 ** this.reconnectAttempts,
+      config.reconnectMaxDelayMs
+    );
+    this.reconnectAttempts++;
+    console.warn(`[${this.network.name}] Pending transaction subscription dropped; reconnect attempt ${this.reconnectAttempts} in ${delay}ms`);
+    this.reconnectTimer = setTimeout(() => this.connectSubscription(), delay);
+  }
+
+  // txpool_content returns full transactions, grouped by sender and nonce.
+  // Only executable ("pending") transactions are recorded, not "queued" ones.
+  async pollTxpool() {
+    if (this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      const content = await this.provider.send('txpool_content', []);
+      this.setConnected(true);
+      this.lastError = null;
+
+      for (const byNonce of Object.values(content.pending || {})) {
+        for (const tx of Object.values(byNonce)) {
+          this.recordSighting({
+            hash: tx.hash,
+            source: 'txpool',
+            from: tx.from,
+            to: tx.to,
+            nonce: tx.nonce != null ? ethers.BigNumber.from(tx.nonce).toNumber() : null,
+            gasPrice: tx.gasPrice != null ? ethers.BigNumber.from(tx.gasPrice) : null,
+            maxFeePerGas: tx.maxFeePerGas != null ? ethers.BigNumber.from(tx.maxFeePerGas) : null,
+            maxPriorityFeePerGas: tx.maxPriorityFeePerGas != null ? ethers.BigNumber.from(tx.maxPriorityFeePerGas) : null
+          });
+        }
+      }
+    } catch (error) {
+      this.setConnected(false);
+      this.lastError = error.message;
+      console.error(`[${this.network.name}] txpool_content failed on ${this.endpoint.label}:`, error.message);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  getStatus() {
+    return {
+      mode: this.network.mempoolMode,
+      endpoint: this.endpoint ? this.endpoint.label : null,
+      active: this.active,
+      connected: this.isConnected,
+      watchingSince: this.feedStartedAt !== null ? new Date(this.feedStartedAt).toISOString() : null,
+      trackedTransactions: this.knownHashes.size,
+      bufferedSightings: this.buffer.length,
+      lastSeenAt: this.lastSeenAt ? new Date(this.lastSeenAt).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = MempoolMonitor;
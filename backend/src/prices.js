@@ -0,0 +1,88 @@
+const { ethers } = require('ethers');
+const { parseCsvRecords } = require('./csv');
+
+// Asset name used for the chain's native currency; tokens use their contract address
+const ETH_ASSET = 'ETH';
+
+// Chainlink price feed (AggregatorV3Interface). decimals() has the same
+// signature on feeds and ERC-20 tokens.
+const aggregatorInterface = new ethers.utils.Interface([
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+]);
+
+// 'ETH' (any case) or a checksummed token address; throws for anything else
+function normalizeAsset(asset) {
+  const value = String(asset || '').trim();
+  if (value.toUpperCase() === ETH_ASSET) return ETH_ASSET;
+  if (ethers.utils.isAddress(value)) return ethers.utils.getAddress(value);
+  throw new Error(`Invalid asset: ${asset} (expected ETH or a token address)`);
+}
+
+// Unix seconds, unix milliseconds or an ISO date, as milliseconds
+function parseTimestamp(value) {
+  const text = String(value ?? '').trim();
+  if (/^\d+$/.test(text)) {
+    const number = Number(text);
+    return number < 1e12 ? number * 1000 : number;
+  }
+  const time = Date.parse(text);
+  if (!text || Number.isNaN(time)) {
+    throw new Error(`Invalid timestamp: ${value}`);
+  }
+  return time;
+}
+
+// Validate one price point for storage. Token prices need the token's decimals
+// to scale raw amounts; ETH is always 18.
+function normalizePrice(entry) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error('Price must be an object');
+  }
+  const asset = normalizeAsset(entry.asset);
+  const priceUsd = Number(entry.price_usd ?? entry.priceUsd);
+  if (!Number.isFinite(priceUsd) || priceUsd < 0) {
+    throw new Error(`Invalid price_usd: ${entry.price_usd ?? entry.priceUsd}`);
+  }
+
+  const rawDecimals = entry.decimals;
+  let decimals = 18;
+  if (rawDecimals !== undefined && rawDecimals !== null && String(rawDecimals).trim() !== '') {
+    decimals = Number(rawDecimals);
+  } else if (asset !== ETH_ASSET) {
+    throw new Error('decimals is required for token prices');
+  }
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 77) {
+    throw new Error(`Invalid decimals: ${rawDecimals}`);
+  }
+
+  const rawBlock = entry.block_number ?? entry.blockNumber;
+  const blockNumber = rawBlock === undefined || rawBlock === null || String(rawBlock).trim() === '' ? null : Number(rawBlock);
+  if (blockNumber !== null && (!Number.isInteger(blockNumber) || blockNumber < 0)) {
+    throw new Error(`Invalid block_number: ${rawBlock}`);
+  }
+
+  return {
+    asset,
+    timestamp: parseTimestamp(entry.timestamp),
+    priceUsd,
+    decimals,
+    blockNumber,
+    source: 'csv'
+  };
+}
+
+// Price entries from CSV with an asset,timestamp,price_usd header (decimals and
+// block_number are optional columns; other columns are ignored)
+function parsePricesCsv(text) {
+  return parseCsvRecords(text, ['asset', 'timestamp', 'price_usd']);
+}
+
+module.exports = {
+  ETH_ASSET,
+  aggregatorInterface,
+  normalizeAsset,
+  normalizePrice,
+  parsePricesCsv,
+  parseTimestamp
+};
@@ -0,0 +1,186 @@
+const { ethers } = require('ethers');
+const config = require('./config');
+const { ReplayProvider } = require('./replay');
+
+// Error codes that mean the endpoint itself failed (as opposed to a bad request),
+// so the same call is worth retrying on another endpoint
+const TRANSPORT_ERROR_CODES = new Set([
+  'SERVER_ERROR',
+  'NETWORK_ERROR',
+  'TIMEOUT',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EPIPE'
+]);
+
+// Parse one RPC_ENDPOINTS entry: "infura:<key>", "http(s)://..." or "ws(s)://...".
+// Infura endpoints need the network name; other endpoints serve whatever chain they're on.
+function parseEndpoint(entry, networkName = config.network) {
+  const value = entry.trim();
+
+  if (value.startsWith('infura:')) {
+    const apiKey = value.slice('infura:'.length);
+    return { type: 'infura', apiKey, network: networkName, label: `infura(...${apiKey.slice(-4)})` };
+  }
+
+  if (/^https?:\/\//i.test(value)) {
+    return { type: 'http', url: value, label: redactUrl(value) };
+  }
+
+  if (/^wss?:\/\//i.test(value)) {
+    return { type: 'websocket', url: value, label: redactUrl(value) };
+  }
+
+  throw new Error(`Unsupported RPC endpoint "${value}" (expected infura:<key>, http(s):// or ws(s):// URL)`);
+}
+
+// Hide credentials and path tokens (e.g. /v3/<key>) when logging endpoint URLs
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const path = parsed.pathname.length > 1 ? '/...' : '';
+    return `${parsed.protocol}//${parsed.host}${path}`;
+  } catch (error) {
+    return 'invalid-url';
+  }
+}
+
+// Ordered endpoint list for a network: its RPC endpoints if set, otherwise one
+// Infura entry per key. In replay mode the recording is the only endpoint.
+function getEndpoints(network) {
+  if (config.rpcMode === 'replay') {
+    return [{ type: 'replay', network: network.name, url: `replay:${network.name}`, label: `replay(${network.name})` }];
+  }
+  if (network.rpcEndpoints && network.rpcEndpoints.length > 0) {
+    return network.rpcEndpoints.map(entry => parseEndpoint(entry, network.name));
+  }
+  return config.infuraApiKeys
+    .filter(Boolean)
+    .map(apiKey => parseEndpoint(`infura:${apiKey}`, network.name));
+}
+
+// Endpoint for the newHeads subscription: NEW_HEADS_WS_URL, else the first
+// WebSocket endpoint, else Infura's WebSocket API for the first Infura key
+function getSubscriptionEndpoint(network) {
+  // A recording has no live feed; replayed blocks are polled
+  if (config.rpcMode === 'replay') {
+    return null;
+  }
+  if (network.newHeadsWsUrl) {
+    return parseEndpoint(network.newHeadsWsUrl, network.name);
+  }
+  const endpoints = getEndpoints(network);
+  return endpoints.find(endpoint => endpoint.type === 'websocket') ||
+    endpoints.find(endpoint => endpoint.type === 'infura') ||
+    null;
+}
+
+// Endpoint for the mempool feed: MEMPOOL_RPC_URL, else the first endpoint that
+// can serve the mode (txpool_content needs our own node, not Infura)
+function getMempoolEndpoint(network) {
+  if (config.rpcMode === 'replay') {
+    return null;
+  }
+  if (network.mempoolRpcUrl) {
+    return parseEndpoint(network.mempoolRpcUrl, network.name);
+  }
+  if (network.mempoolMode === 'subscribe') {
+    return getSubscriptionEndpoint(network);
+  }
+  return getEndpoints(network).find(endpoint => endpoint.type !== 'infura') || null;
+}
+
+function createWebSocketProvider(provider, label) {
+  // Without a handler a socket error would be thrown as an uncaught exception
+  provider.websocket.onerror = (error) => {
+    console.warn(`WebSocket error on ${label}:`, error.message || error);
+  };
+  return provider;
+}
+
+function createSubscriptionProvider(endpoint) {
+  if (endpoint.type === 'infura') {
+    return createWebSocketProvider(
+      ethers.providers.InfuraProvider.getWebSocketProvider(endpoint.network, endpoint.apiKey),
+      endpoint.label
+    );
+  }
+  if (endpoint.type !== 'websocket') {
+    throw new Error(`Endpoint ${endpoint.label} does not support subscriptions`);
+  }
+  return createProvider(endpoint);
+}
+
+function createProvider(endpoint) {
+  switch (endpoint.type) {
+    case 'infura':
+      return new ethers.providers.InfuraProvider(endpoint.network, endpoint.apiKey);
+    case 'http':
+      // Network is detected from the node, so local anvil/hardhat chains work too
+      return new ethers.providers.StaticJsonRpcProvider(endpoint.url);
+    case 'websocket':
+      return createWebSocketProvider(new ethers.providers.WebSocketProvider(endpoint.url), endpoint.label);
+    case 'replay':
+      return new ReplayProvider(endpoint.network);
+    default:
+      throw new Error(`Unknown endpoint type: ${endpoint.type}`);
+  }
+}
+
+function destroyProvider(provider) {
+  if (provider && typeof provider.destroy === 'function') {
+    provider.destroy().catch(() => {});
+  }
+}
+
+// JSON-RPC "limit exceeded" error code used by Infura and other hosted nodes
+const RPC_LIMIT_EXCEEDED = -32005;
+
+function isRateLimitError(error) {
+  return error.message?.includes('rate limit') ||
+    error.message?.includes('429') ||
+    error.code === 429 ||
+    error.status === 429 ||
+    error.error?.code === RPC_LIMIT_EXCEEDED;
+}
+
+// True for rate limits, HTTP 5xx, timeouts and connection failures
+function isTransportError(error) {
+  if (isRateLimitError(error)) return true;
+  // The node answered with a JSON-RPC error object, so the endpoint itself is working
+  if (typeof error.error?.code === 'number' && error.error.code < 0) return false;
+  if (TRANSPORT_ERROR_CODES.has(error.code)) return true;
+  if (error.status >= 500) return true;
+  // ethers wraps the underlying failure in error.error / error.serverError
+  const cause = error.error || error.serverError;
+  return Boolean(cause && cause !== error && isTransportError(cause));
+}
+
+// JSON-RPC "method not found" / "method not supported" error codes
+const UNSUPPORTED_METHOD_CODES = new Set([-32601, -32004]);
+
+// True when the endpoint doesn't implement the requested RPC method
+function isUnsupportedMethodError(error) {
+  const code = typeof error.error?.code === 'number' ? error.error.code : error.code;
+  if (UNSUPPORTED_METHOD_CODES.has(code)) return true;
+  const message = (error.error?.message || error.message || '').toLowerCase();
+  return message.includes('method not found') ||
+    message.includes('not supported') ||
+    message.includes('does not exist');
+}
+
+module.exports = {
+  parseEndpoint,
+  getEndpoints,
+  getSubscriptionEndpoint,
+  getMempoolEndpoint,
+  createProvider,
+  createSubscriptionProvider,
+  destroyProvider,
+  isRateLimitError,
+  isTransportError,
+  isUnsupportedMethodError
+};
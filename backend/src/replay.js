@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { ethers } = require('ethers');
+const config = require('./config');
+
+// Recording format: one JSON-RPC exchange per line,
+// {"network","method","params","result"} or {"network","method","params","error":{"code","message"}}.
+// Requests are recorded at the provider's send(), so everything BlockchainService
+// asks for (blocks, receipts, traces, ENS calls, ...) can be answered in replay.
+
+let recordStream = null;
+
+function writeRecord(entry) {
+  if (!recordStream) {
+    fs.mkdirSync(path.dirname(config.rpcRecordingPath), { recursive: true });
+    recordStream = fs.createWriteStream(config.rpcRecordingPath, { flags: 'a' });
+    console.log(`Recording RPC responses to ${config.rpcRecordingPath}`);
+  }
+  recordStream.write(JSON.stringify(entry) + '\n');
+}
+
+// Wrap a provider so every response it gets is appended to the recording.
+// Transport failures aren't recorded, only answers the node actually gave.
+function recordProvider(provider, networkName) {
+  const send = provider.send.bind(provider);
+  provider.send = async (method, params) => {
+    try {
+      const result = await send(method, params);
+      writeRecord({ network: networkName, method, params, result });
+      return result;
+    } catch (error) {
+      const rpcError = error.error && typeof error.error.code === 'number' ? error.error : null;
+      if (rpcError) {
+        writeRecord({ network: networkName, method, params, error: { code: rpcError.code, message: rpcError.message } });
+      }
+      throw error;
+    }
+  };
+  return provider;
+}
+
+// Flush the recording on shutdown, so the last responses aren't lost
+function closeRecording() {
+  if (!recordStream) return Promise.resolve();
+  const stream = recordStream;
+  recordStream = null;
+  return new Promise(resolve => stream.end(resolve));
+}
+
+function requestKey(method, params) {
+  return `${method}:${JSON.stringify(params || [])}`;
+}
+
+// The same shape ethers gives a JSON-RPC error, so error classification works as live
+function rpcError(code, message) {
+  const error = new Error(`processing response error (${message})`);
+  error.code = ethers.errors.SERVER_ERROR;
+  error.error = Object.assign(new Error(message), { code });
+  return error;
+}
+
+// An indexed recording file. Only byte offsets are kept in memory; responses are
+// read from disk when requested, so long recordings of full blocks stay cheap.
+class Recording {
+  constructor(filePath) {
+    this.filePath = filePath;
+    // network -> { responses: Map(requestKey -> location), blocks: [{ number, timestamp, location }], blocksByNumber, blockNumbersByHash, clock }
+    this.networks = new Map();
+    this.ready = this.load();
+    this.ready.catch(() => {});
+  }
+
+  getNetwork(name) {
+    if (!this.networks.has(name)) {
+      this.networks.set(name, {
+        responses: new Map(),
+        blocks: [],
+        blocksByNumber: new Map(),
+        blockNumbersByHash: new Map(),
+        startedAt: null,
+        headIndex: 0,
+        finished: false
+      });
+    }
+    return this.networks.get(name);
+  }
+
+  async load() {
+    const input = fs.createReadStream(this.filePath);
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let offset = 0;
+    let skipped = 0;
+
+    for await (const line of lines) {
+      const location = { offset, length: Buffer.byteLength(line) };
+      offset += location.length + 1;
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // Usually a line cut short when a recording session was killed
+        skipped++;
+        continue;
+      }
+
+      const network = this.getNetwork(entry.network);
+      network.responses.set(requestKey(entry.method, entry.params), location);
+      if (entry.method === 'eth_getBlockByNumber' && entry.result && Array.isArray(entry.result.transactions)) {
+        const number = parseInt(entry.result.number, 16);
+        // A full block (with transaction objects) is preferred over a header-only one
+        const existing = network.blocksByNumber.get(number);
+        if (!existing || entry.params[1] === true) {
+          network.blocksByNumber.set(number, { number, timestamp: parseInt(entry.result.timestamp, 16), full: entry.params[1] === true, location });
+          network.blockNumbersByHash.set(entry.result.hash, number);
+        }
+      }
+    }
+
+    for (const network of this.networks.values()) {
+      network.blocks = Array.from(network.blocksByNumber.values()).sort((a, b) => a.number - b.number);
+    }
+    if (skipped > 0) {
+      console.warn(`Skipped ${skipped} unreadable line(s) in ${this.filePath}`);
+    }
+    console.log(`Loaded RPC recording ${this.filePath}: ${Array.from(this.networks.entries()).map(([name, network]) => `${name} (${network.blocks.length} blocks)`).join(', ')}`);
+  }
+
+  async read(location) {
+    const handle = await fs.promises.open(this.filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(location.length);
+      await handle.read(buffer, 0, location.length, location.offset);
+      return JSON.parse(buffer.toString('utf8'));
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // The replayed chain head. It starts at the first recorded block when the
+  // network is first asked for it and moves through the recorded blocks as
+  // their timestamps come due, REPLAY_SPEED times faster than they were mined.
+  getHead(networkName) {
+    const network = this.getNetwork(networkName);
+    if (network.blocks.length === 0) return null;
+
+    const now = Date.now();
+    if (network.startedAt === null) network.startedAt = now;
+    const chainTime = network.blocks[0].timestamp + (now - network.startedAt) * config.replaySpeed / 1000;
+    while (network.headIndex + 1 < network.blocks.length && network.blocks[network.headIndex + 1].timestamp <= chainTime) {
+      network.headIndex++;
+    }
+
+    if (network.headIndex === network.blocks.length - 1 && !network.finished) {
+      network.finished = true;
+      console.log(`[${networkName}] Replay reached the last recorded block ${network.blocks[network.headIndex].number}`);
+    }
+    return network.blocks[network.headIndex];
+  }
+
+  // Number of the first recorded block of a network (null if it has none)
+  async getFirstBlockNumber(networkName) {
+    await this.ready;
+    const { blocks } = this.getNetwork(networkName);
+    return blocks.length > 0 ? blocks[0].number : null;
+  }
+
+  async getBlock(networkName, number, full) {
+    const head = this.getHead(networkName);
+    if (!head || number > head.number) return null;
+
+    const block = this.getNetwork(networkName).blocksByNumber.get(number);
+    if (!block || (full && !block.full)) return undefined;
+    const { result } = await this.read(block.location);
+    return full ? result : { ...result, transactions: result.transactions.map(tx => (typeof tx === 'string' ? tx : tx.hash)) };
+  }
+
+  async getResponse(networkName, method, params) {
+    const location = this.getNetwork(networkName).responses.get(requestKey(method, params));
+    if (!location) {
+      throw rpcError(-32000, `${method} with these params is not in the recording`);
+    }
+    const entry = await this.read(location);
+    if (entry.error) {
+      throw rpcError(entry.error.code, entry.error.message);
+    }
+    return entry.result;
+  }
+}
+
+// One index per recording file, shared by every network's provider
+const recordings = new Map();
+
+function getRecording(filePath = config.rpcRecordingPath) {
+  if (!recordings.has(filePath)) {
+    recordings.set(filePath, new Recording(filePath));
+  }
+  return recordings.get(filePath);
+}
+
+// Answers JSON-RPC requests from a recording instead of a node. The chain head
+// follows the replay clock, so the backend ingests the recorded blocks as if
+// they were being mined; everything else is answered by exact request match.
+class ReplayProvider extends ethers.providers.StaticJsonRpcProvider {
+  constructor(networkName, recording = getRecording()) {
+    // A known network name saves the chain id lookup; others use the recorded eth_chainId
+    super('http://replay.invalid', ethers.providers.getNetwork(networkName) || undefined);
+    this.recording = recording;
+    this.networkName = networkName;
+  }
+
+  async send(method, params) {
+    await this.recording.ready;
+
+    switch (method) {
+      case 'eth_blockNumber': {
+        const head = this.recording.getHead(this.networkName);
+        if (!head) throw rpcError(-32000, `No blocks recorded for ${this.networkName}`);
+        return ethers.utils.hexValue(head.number);
+      }
+      case 'eth_getBlockByNumber':
+      case 'eth_getBlockByHash': {
+        const number = method === 'eth_getBlockByHash'
+          ? this.recording.getNetwork(this.networkName).blockNumbersByHash.get(params[0])
+          : (params[0] === 'latest' ? (this.recording.getHead(this.networkName) || {}).number : parseInt(params[0], 16));
+        if (number !== undefined) {
+          const block = await this.recording.getBlock(this.networkName, number, Boolean(params[1]));
+          if (block !== undefined) return block;
+        }
+        return this.recording.getResponse(this.networkName, method, params);
+      }
+      default:
+        return this.recording.getResponse(this.networkName, method, params);
+    }
+  }
+}
+
+module.exports = {
+  recordProvider,
+  closeRecording,
+  getRecording,
+  ReplayProvider
+};
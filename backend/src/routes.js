@@ -1,5 +1,11 @@
 const express = require('express');
+const { ethers } = require('ethers');
 const config = require('./config');
+const { parseSignature, getMethodSelector } = require('./signatures');
+const { parseAbi, decodeFunctionCall, decodeLog } = require('./abis');
+const { isEnsName } = require('./ens');
+const { parseLabelsCsv, normalizeLabel, withLabels } = require('./labels');
+const { ETH_ASSET, normalizeAsset, normalizePrice, parsePricesCsv, parseTimestamp } = require('./prices');
 
 // Helper function to convert BigInt values to strings for JSON serialization
 function serializeResults(results) {
@@ -16,9 +22,56 @@ function serializeResults(results) {
   });
 }
 
-function createRoutes(blockchainService, database) {
+// Optional ?fromBlock=&toBlock= range (undefined when not given); null if either isn't an integer
+function parseBlockRange(query) {
+  const fromBlock = query.fromBlock !== undefined ? Number(query.fromBlock) : undefined;
+  const toBlock = query.toBlock !== undefined ? Number(query.toBlock) : undefined;
+  if ((fromBlock !== undefined && !Number.isInteger(fromBlock)) || (toBlock !== undefined && !Number.isInteger(toBlock))) {
+    return null;
+  }
+  return { fromBlock, toBlock };
+}
+
+// blockchainServices maps each configured network name to its BlockchainService
+function createRoutes(blockchainServices, database, backfillManager, ensResolver) {
   const router = express.Router();
 
+  // Every route takes an optional ?network= (or "network" in a JSON body),
+  // defaulting to the configured network
+  router.use((req, res, next) => {
+    const network = (req.query.network || (req.body && req.body.network) || config.network).toString();
+    if (!blockchainServices.has(network)) {
+      return res.status(400).json({
+        error: `Unknown network: ${network}`,
+        networks: Array.from(blockchainServices.keys())
+      });
+    }
+    req.network = network;
+    req.blockchainService = blockchainServices.get(network);
+    next();
+  });
+
+  // Address params also accept ENS names (e.g. /balance/vitalik.eth); the
+  // route then sees the resolved address and req.ensName holds the name
+  router.param('address', async (req, res, next, address) => {
+    if (!isEnsName(address)) return next();
+    try {
+      if (!ensResolver.enabled) {
+        return res.status(400).json({ error: 'ENS names are not supported on this server; use an address' });
+      }
+      const resolved = await ensResolver.resolveName(address);
+      if (!resolved) {
+        return res.status(404).json({ error: `ENS name does not resolve: ${address}` });
+      }
+      req.params.address = ethers.utils.getAddress(resolved);
+      req.ensName = address.toLowerCase();
+      next();
+    } catch (error) {
+      console.error('Error resolving ENS name:', error);
+      res.status(500).json({ error: 'Failed to resolve ENS name', details: error.message });
+    }
+  });
+
   // Health check endpoint
   router.get('/health', (req, res) => {
     res.json({ 
@@ -32,7 +85,7 @@ function createRoutes(blockchainService, database) {
   router.get('/pending-queue', (req, res) => {
     try {
       const n = Math.min(Number(req.query.n) || config.defaultQueryLimit, config.maxQueryLimit);
-      const txs = blockchainService.popTransactions(n);
+      const txs = req.blockchainService.popTransactions(n);
       res.json(txs);
     } catch (error) {
       console.error('Error in /pending-queue:', error);
@@ -43,22 +96,98 @@ function createRoutes(blockchainService, database) {
   // Get transaction details by hash
   router.get('/tx/:hash', async (req, res) => {
     try {
-      const tx = await blockchainService.getTransaction(req.params.hash);
+      const tx = await req.blockchainService.getTransaction(req.params.hash);
       if (!tx) {
         return res.status(404).json({ error: 'Transaction not found' });
       }
-      res.json(tx);
+
+      // Valued at the ETH price of its block time; pending transactions at the latest price
+      let valuedAt = Date.now();
+      if (tx.blockNumber != null) {
+        const block = await database.getBlock(req.network, tx.blockNumber) ||
+          await req.blockchainService.executeWithRetry('getBlock', tx.blockNumber);
+        if (block) valuedAt = block.timestamp instanceof Date ? block.timestamp.getTime() : block.timestamp * 1000;
+      }
+      const price = await database.getPriceAt(req.network, ETH_ASSET, valuedAt);
+      res.json({
+        ...tx,
+        value_usd: price ? Number(ethers.utils.formatEther(tx.value)) * price.price_usd : null
+      });
     } catch (error) {
       console.error('Error in /tx/:hash:', error);
       res.status(500).json({ error: 'Failed to fetch transaction', details: error.message });
     }
   });
 
+  // A transaction with its function call and event logs decoded using the ABI
+  // registry; without an ABI the call is decoded from the signature database
+  router.get('/tx/:hash/decoded', async (req, res) => {
+    try {
+      const tx = await req.blockchainService.getTransaction(req.params.hash);
+      if (!tx) {
+        return res.status(404).json({ error: 'Transaction not found' });
+      }
+      const receipt = tx.blockNumber ? await req.blockchainService.getTransactionReceipt(tx.hash) : null;
+      const logs = receipt ? receipt.logs : [];
+
+      const addresses = [...new Set([tx.to, ...logs.map(log => log.address)].filter(Boolean))];
+      const abis = await database.getContractAbis(req.network, addresses);
+      const interfaces = new Map();
+      for (const [address, row] of abis) {
+        interfaces.set(address, parseAbi(row.abi));
+      }
+
+      let call = null;
+      const selector = getMethodSelector(tx.data);
+      if (tx.to && selector) {
+        if (interfaces.has(tx.to)) {
+          call = decodeFunctionCall(interfaces.get(tx.to), tx);
+          if (call) call.source = 'abi';
+        }
+        if (!call) {
+          const known = await database.getMethodSignature(selector);
+          call = known ? decodeFunctionCall(parseAbi([`function ${known.signature}`]), tx) : null;
+          if (call) call.source = 'signature';
+        }
+      }
+
+      res.json({
+        hash: tx.hash,
+        blockNumber: tx.blockNumber,
+        from: tx.from,
+        to: tx.to,
+        value: tx.value.toString(),
+        status: receipt ? receipt.status : null,
+        contract: tx.to && abis.has(tx.to) ? abis.get(tx.to).name : null,
+        selector,
+        function: call,
+        logs: logs.map(log => {
+          const event = interfaces.has(log.address) ? decodeLog(interfaces.get(log.address), log) : null;
+          return {
+            logIndex: log.logIndex,
+            address: log.address,
+            contract: abis.has(log.address) ? abis.get(log.address).name : null,
+            event,
+            // Raw fields are only needed when the log couldn't be decoded
+            ...(event ? {} : { topics: log.topics, data: log.data })
+          };
+        })
+      });
+    } catch (error) {
+      console.error('Error in /tx/:hash/decoded:', error);
+      res.status(500).json({ error: 'Failed to decode transaction', details: error.message });
+    }
+  });
+
   // Get ETH balance for an address
   router.get('/balance/:address', async (req, res) => {
     try {
-      const balance = await blockchainService.getBalance(req.params.address);
-      res.json({ balance });
+      const address = req.params.address;
+      const [balance, name] = await Promise.all([
+        req.blockchainService.getBalance(address),
+        req.ensName || ensResolver.getName(address)
+      ]);
+      res.json({ address, name, balance });
     } catch (error) {
       console.error('Error in /balance/:address:', error);
       res.status(500).json({ error: 'Failed to fetch balance', details: error.message });
@@ -69,8 +198,9 @@ function createRoutes(blockchainService, database) {
   router.get('/transactions/recent', async (req, res) => {
     try {
       const limit = Math.min(Number(req.query.limit) || config.defaultQueryLimit, config.maxQueryLimit);
-      const transactions = await database.getRecentTransactions(limit);
-      const serializedTransactions = serializeResults(transactions);
+      const transactions = await database.getRecentTransactions(req.network, limit);
+      const serializedTransactions = await withLabels(database, req.network,
+        await ensResolver.withNames(serializeResults(transactions)));
       res.json({
         count: serializedTransactions.length,
         transactions: serializedTransactions
@@ -85,10 +215,15 @@ function createRoutes(blockchainService, database) {
   router.get('/transactions/address/:address', async (req, res) => {
     try {
       const limit = Math.min(Number(req.query.limit) || config.defaultQueryLimit, config.maxQueryLimit);
-      const transactions = await database.getTransactionsByAddress(req.params.address, limit);
-      const serializedTransactions = serializeResults(transactions);
+      const transactions = await database.getTransactionsByAddress(req.network, req.params.address, limit);
+      const serializedTransactions = await withLabels(database, req.network,
+        await ensResolver.withNames(serializeResults(transactions)));
+      const label = await database.getAddressLabel(req.network, req.params.address);
       res.json({
         address: req.params.address,
+        name: req.ensName || await ensResolver.getName(req.params.address),
+        label: label ? label.label : null,
+        entity: label ? label.entity : null,
         count: serializedTransactions.length,
         transactions: serializedTransactions
       });
@@ -101,7 +236,7 @@ function createRoutes(blockchainService, database) {
   // NEW: Get transaction statistics
   router.get('/transactions/stats', async (req, res) => {
     try {
-      const stats = await database.getTransactionStats();
+      const stats = await database.getTransactionStats(req.network);
       const serializedStats = serializeResults([stats])[0]; // Serialize single object
       res.json(serializedStats);
     } catch (error) {
@@ -110,6 +245,932 @@ function createRoutes(blockchainService, database) {
     }
   });
 
+  // Recently stored blocks
+  router.get('/blocks', async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || config.defaultQueryLimit, config.maxQueryLimit);
+      const blocks = serializeResults(await database.getRecentBlocks(req.network, limit));
+      res.json({
+        count: blocks.length,
+        blocks
+      });
+    } catch (error) {
+      console.error('Error in /blocks:', error);
+      res.status(500).json({ error: 'Failed to fetch blocks', details: error.message });
+    }
+  });
+
+  // A stored block with its transactions
+  router.get('/blocks/:number', async (req, res) => {
+    try {
+      const blockNumber = Number(req.params.number);
+      if (!Number.isInteger(blockNumber) || blockNumber < 0) {
+        return res.status(400).json({ error: 'Block number must be a non-negative integer' });
+      }
+
+      const block = await database.getBlock(req.network, blockNumber);
+      if (!block) {
+        return res.status(404).json({ error: 'Block not found' });
+      }
+
+      const transactions = serializeResults(await database.getTransactionsByBlock(req.network, blockNumber));
+      res.json({
+        ...serializeResults([block])[0],
+        transactions
+      });
+    } catch (error) {
+      console.error('Error in /blocks/:number:', error);
+      res.status(500).json({ error: 'Failed to fetch block', details: error.message });
+    }
+  });
+
+  // Event logs, filtered by contract address, topic0 and block range
+  router.get('/logs', async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || config.defaultQueryLimit, config.maxQueryLimit);
+      const range = parseBlockRange(req.query);
+      if (!range) {
+        return res.status(400).json({ error: 'fromBlock and toBlock must be integers' });
+      }
+      const { fromBlock, toBlock } = range;
+
+      const logs = await database.getLogs(req.network, {
+        address: req.query.address,
+        topic0: req.query.topic0,
+        fromBlock,
+        toBlock,
+        limit
+      });
+      const serializedLogs = serializeResults(logs);
+      res.json({
+        count: serializedLogs.length,
+        logs: serializedLogs
+      });
+    } catch (error) {
+      console.error('Error in /logs:', error);
+      res.status(500).json({ error: 'Failed to fetch logs', details: error.message });
+    }
+  });
+
+  // ETH moved by calls inside transactions (from call traces), filtered by address, transaction and block range
+  router.get('/internal-transfers', async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || config.defaultQueryLimit, config.maxQueryLimit);
+      const range = parseBlockRange(req.query);
+      if (!range) {
+        return res.status(400).json({ error: 'fromBlock and toBlock must be integers' });
+      }
+      const { fromBlock, toBlock } = range;
+
+      const transfers = serializeResults(await database.getInternalTransfers(req.network, {
+        address: req.query.address,
+        transactionHash: req.query.tx,
+        fromBlock,
+        toBlock,
+        limit
+      }));
+      res.json({
+        count: transfers.length,
+        transfers
+      });
+    } catch (error) {
+      console.error('Error in /internal-transfers:', error);
+      res.status(500).json({ error: 'Failed to fetch internal transfers', details: error.message });
+    }
+  });
+
+  // Most active ERC-20 tokens by transfer count
+  router.get('/tokens/top', async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || 10, config.maxQueryLimit);
+      const fromBlock = req.query.fromBlock !== undefined ? Number(req.query.fromBlock) : null;
+      if (fromBlock !== null && !Number.isInteger(fromBlock)) {
+        return res.status(400).json({ error: 'fromBlock must be an integer' });
+      }
+
+      const tokens = serializeResults(await database.getTopTokens(req.network, limit, fromBlock));
+      res.json({
+        count: tokens.length,
+        tokens
+      });
+    } catch (error) {
+      console.error('Error in /tokens/top:', error);
+      res.status(500).json({ error: 'Failed to fetch top tokens', details: error.message });
+    }
+  });
+
+  // ERC-20 transfers of a token contract
+  router.get('/tokens/:address/transfers', async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || config.defaultQueryLimit, config.maxQueryLimit);
+      const transfers = serializeResults(await database.getTokenTransfers(req.network, req.params.address, limit));
+      res.json({
+        token: req.params.address,
+        count: transfers.length,
+        transfers
+      });
+    } catch (error) {
+      console.error('Error in /tokens/:address/transfers:', error);
+      res.status(500).json({ error: 'Failed to fetch token transfers', details: error.message });
+    }
+  });
+
+  // NFT collection activity: summary plus recent transfers
+  router.get('/nfts/collections/:address', async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || config.defaultQueryLimit, config.maxQueryLimit);
+      const [stats, transfers] = await Promise.all([
+        database.getNftCollectionStats(req.network, req.params.address),
+        database.getNftCollectionTransfers(req.network, req.params.address, limit)
+      ]);
+      const serializedTransfers = serializeResults(transfers);
+      res.json({
+        collection: req.params.address,
+        stats: serializeResults([stats])[0],
+        count: serializedTransfers.length,
+        transfers: serializedTransfers
+      });
+    } catch (error) {
+      console.error('Error in /nfts/collections/:address:', error);
+      res.status(500).json({ error: 'Failed to fetch NFT collection activity', details: error.message });
+    }
+  });
+
+  // NFTs sent or received by an address
+  router.get('/nfts/address/:address', async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || config.defaultQueryLimit, config.maxQueryLimit);
+      const transfers = serializeResults(await database.getNftTransfersByAddress(req.network, req.params.address, limit));
+      res.json({
+        address: req.params.address,
+        count: transfers.length,
+        transfers
+      });
+    } catch (error) {
+      console.error('Error in /nfts/address/:address:', error);
+      res.status(500).json({ error: 'Failed to fetch NFT transfers for address', details: error.message });
+    }
+  });
+
+  // Blob gas usage and blob base fee per block (EIP-4844)
+  router.get('/blobs/blocks', async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || config.defaultQueryLimit, config.maxQueryLimit);
+      const blocks = serializeResults(await database.getBlobBlocks(req.network, limit));
+      res.json({
+        count: blocks.length,
+        blocks
+      });
+    } catch (error) {
+      console.error('Error in /blobs/blocks:', error);
+      res.status(500).json({ error: 'Failed to fetch blob usage per block', details: error.message });
+    }
+  });
+
+  // Top blob posters (rollup batchers) by blobs posted and blob fees paid
+  router.get('/blobs/senders', async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || 10, config.maxQueryLimit);
+      const fromBlock = req.query.fromBlock !== undefined ? Number(req.query.fromBlock) : null;
+      if (fromBlock !== null && !Number.isInteger(fromBlock)) {
+        return res.status(400).json({ error: 'fromBlock must be an integer' });
+      }
+
+      const senders = serializeResults(await database.getBlobSenders(req.network, limit, fromBlock));
+      res.json({
+        count: senders.length,
+        senders
+      });
+    } catch (error) {
+      console.error('Error in /blobs/senders:', error);
+      res.status(500).json({ error: 'Failed to fetch blob senders', details: error.message });
+    }
+  });
+
+  // Withdrawal totals for an address, with its most recent withdrawals
+  router.get('/withdrawals/address/:address', async (req, res) => {
+    try {
+      if (!ethers.utils.isAddress(req.params.address)) {
+        return res.status(400).json({ error: 'Invalid address or ENS name' });
+      }
+      const limit = Math.min(Number(req.query.limit) || config.defaultQueryLimit, config.maxQueryLimit);
+      const range = parseBlockRange(req.query);
+      if (!range) {
+        return res.status(400).json({ error: 'fromBlock and toBlock must be integers' });
+      }
+      const { fromBlock, toBlock } = range;
+
+      const address = ethers.utils.getAddress(req.params.address);
+      const [totals, withdrawals, name, label] = await Promise.all([
+        database.getWithdrawalTotals(req.network, address, { fromBlock, toBlock }),
+        database.getWithdrawalsByAddress(req.network, address, { fromBlock, toBlock, limit }),
+        req.ensName || ensResolver.getName(address),
+        database.getAddressLabel(req.network, address)
+      ]);
+      res.json({
+        address,
+        name,
+        label: label ? label.label : null,
+        totals: serializeResults([totals])[0],
+        count: withdrawals.length,
+        withdrawals: serializeResults(withdrawals)
+      });
+    } catch (error) {
+      console.error('Error in /withdrawals/address/:address:', error);
+      res.status(500).json({ error: 'Failed to fetch withdrawals for address', details: error.message });
+    }
+  });
+
+  // Addresses receiving the most withdrawn ETH
+  router.get('/withdrawals/addresses', async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || 10, config.maxQueryLimit);
+      const range = parseBlockRange(req.query);
+      if (!range) {
+        return res.status(400).json({ error: 'fromBlock and toBlock must be integers' });
+      }
+      const { fromBlock, toBlock } = range;
+
+      const recipients = await database.getWithdrawalRecipients(req.network, { fromBlock, toBlock, limit });
+      const addresses = await withLabels(database, req.network,
+        await ensResolver.withNames(serializeResults(recipients)));
+      res.json({
+        count: addresses.length,
+        addresses
+      });
+    } catch (error) {
+      console.error('Error in /withdrawals/addresses:', error);
+      res.status(500).json({ error: 'Failed to fetch withdrawal recipients', details: error.message });
+    }
+  });
+
+  // Withdrawal count and total per block, newest first
+  router.get('/withdrawals/blocks', async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || config.defaultQueryLimit, config.maxQueryLimit);
+      const range = parseBlockRange(req.query);
+      if (!range) {
+        return res.status(400).json({ error: 'fromBlock and toBlock must be integers' });
+      }
+      const { fromBlock, toBlock } = range;
+
+      const blocks = serializeResults(await database.getWithdrawalBlocks(req.network, { fromBlock, toBlock, limit }));
+      res.json({
+        count: blocks.length,
+        blocks
+      });
+    } catch (error) {
+      console.error('Error in /withdrawals/blocks:', error);
+      res.status(500).json({ error: 'Failed to fetch withdrawals per block', details: error.message });
+    }
+  });
+
+  // Every withdrawal in one block
+  router.get('/withdrawals/blocks/:number', async (req, res) => {
+    try {
+      const blockNumber = Number(req.params.number);
+      if (!Number.isInteger(blockNumber) || blockNumber < 0) {
+        return res.status(400).json({ error: 'Block number must be a non-negative integer' });
+      }
+
+      const withdrawals = await withLabels(database, req.network,
+        serializeResults(await database.getWithdrawalsByBlock(req.network, blockNumber)));
+      const totalGwei = withdrawals.reduce((sum, withdrawal) => sum + BigInt(withdrawal.amount_gwei), 0n);
+      res.json({
+        blockNumber,
+        count: withdrawals.length,
+        totalGwei: totalGwei.toString(),
+        totalEth: ethers.utils.formatUnits(totalGwei, 'gwei'),
+        withdrawals
+      });
+    } catch (error) {
+      console.error('Error in /withdrawals/blocks/:number:', error);
+      res.status(500).json({ error: 'Failed to fetch withdrawals for block', details: error.message });
+    }
+  });
+
+  // Configured networks and the ingestion status of each
+  router.get('/networks', async (req, res) => {
+    try {
+      const networks = await Promise.all(
+        Array.from(blockchainServices.values()).map(service => service.getIngestionStatus())
+      );
+      res.json({
+        default: config.network,
+        count: networks.length,
+        networks
+      });
+    } catch (error) {
+      console.error('Error in /networks:', error);
+      res.status(500).json({ error: 'Failed to fetch networks', details: error.message });
+    }
+  });
+
+  // Block ingestion progress (cursor, head, lag)
+  router.get('/ingestion/status', async (req, res) => {
+    try {
+      const status = await req.blockchainService.getIngestionStatus();
+      res.json(status);
+    } catch (error) {
+      console.error('Error in /ingestion/status:', error);
+      res.status(500).json({ error: 'Failed to fetch ingestion status', details: error.message });
+    }
+  });
+
+  // Chain reorganizations detected during ingestion, most recent first
+  router.get('/reorgs', async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || config.defaultQueryLimit, config.maxQueryLimit);
+      const reorgs = serializeResults(await database.getReorgEvents(req.network, limit));
+      res.json({
+        count: reorgs.length,
+        reorgs
+      });
+    } catch (error) {
+      console.error('Error in /reorgs:', error);
+      res.status(500).json({ error: 'Failed to fetch reorg events', details: error.message });
+    }
+  });
+
+  // Transactions seen in the mempool that haven't shown up in an ingested block
+  router.get('/mempool/pending', async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || config.defaultQueryLimit, config.maxQueryLimit);
+      const transactions = serializeResults(await database.getPendingSightings(req.network, limit));
+      res.json({
+        count: transactions.length,
+        transactions
+      });
+    } catch (error) {
+      console.error('Error in /mempool/pending:', error);
+      res.status(500).json({ error: 'Failed to fetch pending transactions', details: error.message });
+    }
+  });
+
+  // How many mined transactions were seen in the mempool first, and their inclusion latency
+  router.get('/mempool/stats', async (req, res) => {
+    try {
+      const fromBlock = req.query.fromBlock !== undefined ? Number(req.query.fromBlock) : null;
+      if (fromBlock !== null && !Number.isInteger(fromBlock)) {
+        return res.status(400).json({ error: 'fromBlock must be an integer' });
+      }
+
+      const stats = await database.getMempoolStats(req.network, fromBlock);
+      res.json({
+        ...serializeResults([stats])[0],
+        feed: req.blockchainService.mempoolMonitor ? req.blockchainService.mempoolMonitor.getStatus() : null
+      });
+    } catch (error) {
+      console.error('Error in /mempool/stats:', error);
+      res.status(500).json({ error: 'Failed to fetch mempool stats', details: error.message });
+    }
+  });
+
+  // Admin: start a historical backfill job for a block range
+  router.post('/admin/backfill', (req, res) => {
+    try {
+      const { fromBlock, toBlock } = req.body || {};
+      const job = backfillManager.startJob(req.network, Number(fromBlock), Number(toBlock));
+      res.status(202).json(job);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error in POST /admin/backfill:', error);
+      res.status(500).json({ error: 'Failed to start backfill job', details: error.message });
+    }
+  });
+
+  // Admin: list backfill jobs
+  router.get('/admin/backfill', (req, res) => {
+    res.json({ jobs: backfillManager.listJobs(req.network) });
+  });
+
+  // Admin: get progress and errors for a backfill job
+  router.get('/admin/backfill/:id', (req, res) => {
+    const job = backfillManager.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Backfill job not found' });
+    }
+    res.json(job);
+  });
+
+  // Admin: cancel a running backfill job
+  router.post('/admin/backfill/:id/cancel', (req, res) => {
+    const job = backfillManager.cancelJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Backfill job not found' });
+    }
+    res.json(job);
+  });
+
+  // Admin: request budget, usage and health score of each RPC endpoint. Keys
+  // shared between networks report the same (shared) budget under each.
+  router.get('/admin/providers/health', (req, res) => {
+    const service = req.blockchainService;
+    res.json({
+      network: req.network,
+      currentEndpoint: service.currentEndpoint.label,
+      quota: {
+        requestsPerSecond: config.rpcRequestsPerSecond || null,
+        burst: config.rpcBurst,
+        dailyQuota: config.rpcDailyQuota || null
+      },
+      endpoints: service.scheduler.getHealth()
+    });
+  });
+
+  // Admin: pause chain-tip ingestion for a network (e.g. during maintenance)
+  router.post('/admin/ingestion/pause', async (req, res) => {
+    try {
+      const reason = req.body && req.body.reason ? String(req.body.reason) : null;
+      req.blockchainService.pause(reason);
+      res.json(await req.blockchainService.getIngestionStatus());
+    } catch (error) {
+      console.error('Error in POST /admin/ingestion/pause:', error);
+      res.status(500).json({ error: 'Failed to pause ingestion', details: error.message });
+    }
+  });
+
+  // Admin: resume ingestion paused with /admin/ingestion/pause
+  router.post('/admin/ingestion/resume', async (req, res) => {
+    try {
+      req.blockchainService.resume();
+      res.json(await req.blockchainService.getIngestionStatus());
+    } catch (error) {
+      console.error('Error in POST /admin/ingestion/resume:', error);
+      res.status(500).json({ error: 'Failed to resume ingestion', details: error.message });
+    }
+  });
+
+  // Admin: change how often the chain head is polled, without a restart
+  router.put('/admin/ingestion/interval', async (req, res) => {
+    try {
+      const intervalMs = Number(req.body && req.body.intervalMs);
+      if (!Number.isInteger(intervalMs) || intervalMs < 100) {
+        return res.status(400).json({ error: 'intervalMs must be an integer of at least 100' });
+      }
+      req.blockchainService.setFetchInterval(intervalMs);
+      res.json(await req.blockchainService.getIngestionStatus());
+    } catch (error) {
+      console.error('Error in PUT /admin/ingestion/interval:', error);
+      res.status(500).json({ error: 'Failed to change ingestion interval', details: error.message });
+    }
+  });
+
+  // Contracts with an uploaded ABI
+  router.get('/abis', async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || config.defaultQueryLimit, config.maxQueryLimit);
+      const abis = serializeResults(await database.listContractAbis(req.network, limit));
+      res.json({
+        count: abis.length,
+        abis
+      });
+    } catch (error) {
+      console.error('Error in /abis:', error);
+      res.status(500).json({ error: 'Failed to list ABIs', details: error.message });
+    }
+  });
+
+  // The uploaded ABI of a contract
+  router.get('/abis/:address', async (req, res) => {
+    try {
+      if (!ethers.utils.isAddress(req.params.address)) {
+        return res.status(400).json({ error: 'Invalid address' });
+      }
+
+      const row = await database.getContractAbi(req.network, ethers.utils.getAddress(req.params.address));
+      if (!row) {
+        return res.status(404).json({ error: 'No ABI stored for this address' });
+      }
+      res.json({ ...row, abi: JSON.parse(row.abi) });
+    } catch (error) {
+      console.error('Error in /abis/:address:', error);
+      res.status(500).json({ error: 'Failed to fetch ABI', details: error.message });
+    }
+  });
+
+  // Admin: upload (or replace) a contract's ABI: { "abi": [...], "name": "..." }
+  router.put('/admin/abis/:address', async (req, res) => {
+    try {
+      if (!ethers.utils.isAddress(req.params.address)) {
+        return res.status(400).json({ error: 'Invalid address' });
+      }
+      const { abi, name = null } = req.body || {};
+
+      let iface;
+      try {
+        iface = parseAbi(abi);
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid ABI: ${error.message}` });
+      }
+
+      const address = ethers.utils.getAddress(req.params.address);
+      await database.upsertContractAbi(req.network, address, name, iface.format(ethers.utils.FormatTypes.json));
+      res.json({
+        address,
+        name,
+        functions: Object.keys(iface.functions).length,
+        events: Object.keys(iface.events).length
+      });
+    } catch (error) {
+      console.error('Error in PUT /admin/abis/:address:', error);
+      res.status(500).json({ error: 'Failed to store ABI', details: error.message });
+    }
+  });
+
+  // Admin: delete a contract's ABI
+  router.delete('/admin/abis/:address', async (req, res) => {
+    try {
+      if (!ethers.utils.isAddress(req.params.address)) {
+        return res.status(400).json({ error: 'Invalid address' });
+      }
+
+      const address = ethers.utils.getAddress(req.params.address);
+      if (!await database.deleteContractAbi(req.network, address)) {
+        return res.status(404).json({ error: 'No ABI stored for this address' });
+      }
+      res.json({ address, deleted: true });
+    } catch (error) {
+      console.error('Error in DELETE /admin/abis/:address:', error);
+      res.status(500).json({ error: 'Failed to delete ABI', details: error.message });
+    }
+  });
+
+  // Labeled addresses, optionally filtered by entity or category
+  router.get('/labels', async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || config.defaultQueryLimit, config.maxQueryLimit);
+      const labels = serializeResults(await database.listAddressLabels(req.network, {
+        entity: req.query.entity || null,
+        category: req.query.category || null,
+        limit
+      }));
+      res.json({
+        count: labels.length,
+        labels
+      });
+    } catch (error) {
+      console.error('Error in /labels:', error);
+      res.status(500).json({ error: 'Failed to list labels', details: error.message });
+    }
+  });
+
+  // Labeled entities with their address counts
+  router.get('/labels/entities', async (req, res) => {
+    try {
+      const entities = serializeResults(await database.getLabelEntities(req.network));
+      res.json({
+        count: entities.length,
+        entities
+      });
+    } catch (error) {
+      console.error('Error in /labels/entities:', error);
+      res.status(500).json({ error: 'Failed to list entities', details: error.message });
+    }
+  });
+
+  router.get('/labels/:address', async (req, res) => {
+    try {
+      if (!ethers.utils.isAddress(req.params.address)) {
+        return res.status(400).json({ error: 'Invalid address' });
+      }
+      const row = await database.getAddressLabel(req.network, ethers.utils.getAddress(req.params.address));
+      if (!row) {
+        return res.status(404).json({ error: 'No label stored for this address' });
+      }
+      res.json(row);
+    } catch (error) {
+      console.error('Error in /labels/:address:', error);
+      res.status(500).json({ error: 'Failed to fetch label', details: error.message });
+    }
+  });
+
+  // Admin: label (or relabel) an address: { "label": "Binance 14", "entity": "Binance", "category": "exchange" }
+  router.put('/admin/labels/:address', async (req, res) => {
+    try {
+      let label;
+      try {
+        label = normalizeLabel({ ...req.body, address: req.params.address });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      await database.upsertAddressLabel(req.network, label);
+      res.json(label);
+    } catch (error) {
+      console.error('Error in PUT /admin/labels/:address:', error);
+      res.status(500).json({ error: 'Failed to store label', details: error.message });
+    }
+  });
+
+  // Admin: remove an address's label
+  router.delete('/admin/labels/:address', async (req, res) => {
+    try {
+      if (!ethers.utils.isAddress(req.params.address)) {
+        return res.status(400).json({ error: 'Invalid address' });
+      }
+
+      const address = ethers.utils.getAddress(req.params.address);
+      if (!await database.deleteAddressLabel(req.network, address)) {
+        return res.status(404).json({ error: 'No label stored for this address' });
+      }
+      res.json({ address, deleted: true });
+    } catch (error) {
+      console.error('Error in DELETE /admin/labels/:address:', error);
+      res.status(500).json({ error: 'Failed to delete label', details: error.message });
+    }
+  });
+
+  // Admin: bulk import labels as a CSV body (Content-Type: text/csv, with an
+  // address,label,entity,category header) or JSON ({ "labels": [...] } or
+  // { "csv": "..." }). Valid rows are imported; invalid ones are reported by row.
+  router.post('/admin/labels/import', express.text({ type: 'text/csv', limit: '10mb' }), async (req, res) => {
+    try {
+      let entries;
+      try {
+        if (typeof req.body === 'string') {
+          entries = parseLabelsCsv(req.body);
+        } else if (req.body && typeof req.body.csv === 'string') {
+          entries = parseLabelsCsv(req.body.csv);
+        } else if (req.body && Array.isArray(req.body.labels)) {
+          entries = req.body.labels;
+        } else {
+          return res.status(400).json({ error: 'Send a CSV body, or JSON with a labels array or a csv string' });
+        }
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid CSV: ${error.message}` });
+      }
+
+      // A later row for the same address replaces an earlier one
+      const byAddress = new Map();
+      const errors = [];
+      entries.forEach((entry, index) => {
+        try {
+          const label = normalizeLabel(entry);
+          byAddress.set(label.address, label);
+        } catch (error) {
+          errors.push({ row: index + 1, error: error.message });
+        }
+      });
+      const labels = Array.from(byAddress.values());
+      if (labels.length === 0) {
+        return res.status(400).json({ error: 'No valid labels to import', errors });
+      }
+
+      await database.upsertAddressLabels(req.network, labels);
+      res.json({
+        imported: labels.length,
+        failed: errors.length,
+        errors
+      });
+    } catch (error) {
+      console.error('Error in POST /admin/labels/import:', error);
+      res.status(500).json({ error: 'Failed to import labels', details: error.message });
+    }
+  });
+
+  // What an address is: an EOA or a contract (with its deployment, if we ingested
+  // it), plus what we know about it locally (ENS name, label, stored ABI)
+  router.get('/address/:address', async (req, res) => {
+    try {
+      if (!ethers.utils.isAddress(req.params.address)) {
+        return res.status(400).json({ error: 'Invalid address or ENS name' });
+      }
+
+      const address = ethers.utils.getAddress(req.params.address);
+      const [addressType, contract, name, label, abi] = await Promise.all([
+        req.blockchainService.getAddressType(address),
+        database.getContract(req.network, address),
+        req.ensName || ensResolver.getName(address),
+        database.getAddressLabel(req.network, address),
+        database.getContractAbi(req.network, address)
+      ]);
+      const [deployment] = contract ? serializeResults([contract]) : [null];
+
+      res.json({
+        address,
+        type: addressType.type,
+        codeHash: addressType.codeHash,
+        codeSize: addressType.codeSize,
+        delegatedTo: addressType.delegatedTo,
+        checkedAt: addressType.checkedAt,
+        deployment: deployment && {
+          deployer: deployment.deployer,
+          transactionHash: deployment.transaction_hash,
+          blockNumber: deployment.block_number,
+          bytecodeHash: deployment.bytecode_hash
+        },
+        name,
+        label: label ? label.label : null,
+        entity: label ? label.entity : null,
+        hasAbi: Boolean(abi)
+      });
+    } catch (error) {
+      console.error('Error in /address/:address:', error);
+      res.status(500).json({ error: 'Failed to fetch address type', details: error.message });
+    }
+  });
+
+  // Contracts deployed by ingested transactions, newest first
+  router.get('/contracts', async (req, res) => {
+    try {
+      if (req.query.deployer && !ethers.utils.isAddress(req.query.deployer)) {
+        return res.status(400).json({ error: 'Invalid deployer address' });
+      }
+
+      const limit = Math.min(Number(req.query.limit) || config.defaultQueryLimit, config.maxQueryLimit);
+      const contracts = await withLabels(database, req.network, serializeResults(await database.listContracts(req.network, {
+        deployer: req.query.deployer ? ethers.utils.getAddress(req.query.deployer) : null,
+        limit
+      })));
+      res.json({
+        count: contracts.length,
+        contracts
+      });
+    } catch (error) {
+      console.error('Error in /contracts:', error);
+      res.status(500).json({ error: 'Failed to list contracts', details: error.message });
+    }
+  });
+
+  // Stored USD price points, newest first, optionally for one asset (ETH or a token address)
+  router.get('/prices', async (req, res) => {
+    try {
+      let asset = null;
+      if (req.query.asset) {
+        try {
+          asset = normalizeAsset(req.query.asset);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+      }
+
+      const limit = Math.min(Number(req.query.limit) || config.defaultQueryLimit, config.maxQueryLimit);
+      const prices = serializeResults(await database.listPrices(req.network, { asset, limit }));
+      res.json({
+        count: prices.length,
+        prices
+      });
+    } catch (error) {
+      console.error('Error in /prices:', error);
+      res.status(500).json({ error: 'Failed to list prices', details: error.message });
+    }
+  });
+
+  // The price of an asset in effect at a time (?at= ISO date or unix time; default now)
+  router.get('/prices/:asset', async (req, res) => {
+    try {
+      let asset;
+      let at;
+      try {
+        asset = normalizeAsset(req.params.asset);
+        at = req.query.at ? parseTimestamp(req.query.at) : Date.now();
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const price = await database.getPriceAt(req.network, asset, at);
+      if (!price) {
+        return res.status(404).json({ error: 'No price stored for this asset at or before that time' });
+      }
+      res.json(serializeResults([price])[0]);
+    } catch (error) {
+      console.error('Error in /prices/:asset:', error);
+      res.status(500).json({ error: 'Failed to fetch price', details: error.message });
+    }
+  });
+
+  // Admin: import price history as a CSV body (Content-Type: text/csv, with an
+  // asset,timestamp,price_usd[,decimals,block_number] header) or JSON
+  // ({ "prices": [...] } or { "csv": "..." }). Invalid rows are reported by row.
+  router.post('/admin/prices/import', express.text({ type: 'text/csv', limit: '10mb' }), async (req, res) => {
+    try {
+      let entries;
+      try {
+        if (typeof req.body === 'string') {
+          entries = parsePricesCsv(req.body);
+        } else if (req.body && typeof req.body.csv === 'string') {
+          entries = parsePricesCsv(req.body.csv);
+        } else if (req.body && Array.isArray(req.body.prices)) {
+          entries = req.body.prices;
+        } else {
+          return res.status(400).json({ error: 'Send a CSV body, or JSON with a prices array or a csv string' });
+        }
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid CSV: ${error.message}` });
+      }
+
+      const prices = [];
+      const errors = [];
+      entries.forEach((entry, index) => {
+        try {
+          prices.push(normalizePrice(entry));
+        } catch (error) {
+          errors.push({ row: index + 1, error: error.message });
+        }
+      });
+      if (prices.length === 0) {
+        return res.status(400).json({ error: 'No valid prices to import', errors });
+      }
+
+      await database.insertPrices(req.network, prices);
+      res.json({
+        imported: prices.length,
+        failed: errors.length,
+        errors
+      });
+    } catch (error) {
+      console.error('Error in POST /admin/prices/import:', error);
+      res.status(500).json({ error: 'Failed to import prices', details: error.message });
+    }
+  });
+
+  // Admin: read the network's Chainlink feeds at a block now: { "blockNumber": 19000000 } (default: head)
+  router.post('/admin/prices/chainlink', async (req, res) => {
+    try {
+      if (req.blockchainService.network.chainlinkFeeds.length === 0) {
+        return res.status(400).json({ error: `No CHAINLINK_FEEDS configured for ${req.network}` });
+      }
+      const blockNumber = req.body && req.body.blockNumber !== undefined ? Number(req.body.blockNumber) : null;
+      if (blockNumber !== null && (!Number.isInteger(blockNumber) || blockNumber < 0)) {
+        return res.status(400).json({ error: 'blockNumber must be a non-negative integer' });
+      }
+
+      const prices = await req.blockchainService.recordChainlinkPrices(blockNumber);
+      res.json({
+        count: prices.length,
+        prices
+      });
+    } catch (error) {
+      console.error('Error in POST /admin/prices/chainlink:', error);
+      res.status(500).json({ error: 'Failed to read Chainlink prices', details: error.message });
+    }
+  });
+
+  // Primary ENS name of an address, or the address of an ENS name
+  router.get('/ens/:address', async (req, res) => {
+    try {
+      if (!ethers.utils.isAddress(req.params.address)) {
+        return res.status(400).json({ error: 'Invalid address or ENS name' });
+      }
+      const address = ethers.utils.getAddress(req.params.address);
+      res.json({ address, name: req.ensName || await ensResolver.getName(address) });
+    } catch (error) {
+      console.error('Error in /ens/:address:', error);
+      res.status(500).json({ error: 'Failed to resolve ENS name', details: error.message });
+    }
+  });
+
+  // Look up a 4-byte selector in the local signature database
+  router.get('/signatures/:selector', async (req, res) => {
+    try {
+      if (!/^0x[0-9a-fA-F]{8}$/.test(req.params.selector)) {
+        return res.status(400).json({ error: 'Selector must be 0x followed by 8 hex characters' });
+      }
+
+      const signature = await database.getMethodSignature(req.params.selector);
+      if (!signature) {
+        return res.status(404).json({ error: 'Selector not found' });
+      }
+      res.json(signature);
+    } catch (error) {
+      console.error('Error in /signatures/:selector:', error);
+      res.status(500).json({ error: 'Failed to look up selector', details: error.message });
+    }
+  });
+
+  // Admin: import function signatures, e.g. { "signatures": ["transfer(address,uint256)", ...] }
+  router.post('/admin/signatures', async (req, res) => {
+    try {
+      const { signatures } = req.body || {};
+      if (!Array.isArray(signatures) || signatures.length === 0) {
+        return res.status(400).json({ error: 'signatures must be a non-empty array of function signatures' });
+      }
+
+      const parsed = [];
+      const invalid = [];
+      for (const text of signatures) {
+        try {
+          parsed.push(parseSignature(String(text)));
+        } catch (error) {
+          invalid.push(text);
+        }
+      }
+
+      const namedTransactions = parsed.length > 0 ? await database.importMethodSignatures(parsed) : 0;
+      res.json({
+        imported: parsed.length,
+        invalid,
+        namedTransactions,
+        total: await database.countMethodSignatures()
+      });
+    } catch (error) {
+      console.error('Error in POST /admin/signatures:', error);
+      res.status(500).json({ error: 'Failed to import signatures', details: error.message });
+    }
+  });
+
   // NEW: Natural Language to SQL conversion endpoint  
   router.post('/nl-to-sql', async (req, res) => {
     try {
@@ -141,11 +1202,17 @@ function createRoutes(blockchainService, database) {
         }
       }
 
+      // Labeled entities, so questions like "transactions to Binance" can be matched
+      const entities = (await database.getLabelEntities(req.network)).map(row => row.entity);
+
       // Database schema for context
       const schema = `
 DATABASE SCHEMA: Ethereum Transactions
 =====================================
 
+Every table except method_signatures and ens_names has a network column (VARCHAR, e.g. "mainnet", "sepolia"). This
+question is about network '${req.network}', and the query will only see that network's rows.
+
 Table: transactions
 Primary Key: hash
 
@@ -159,10 +1226,91 @@ COLUMNS:
 - gas_price (VARCHAR): Gas price in wei as string (e.g., "1142345615")
 - gas_limit (BIGINT): Gas limit for transaction (e.g., 25200)
 - nonce (BIGINT): Sender's transaction nonce (e.g., 3163049)
-- data (TEXT): Transaction data/input (hex string, e.g., "0x20e693741536447ae2a37b027c859acbf10d8edcdae67091e4308a5e4303037c")
-- timestamp (TIMESTAMP): When transaction was mined (e.g., "2025-08-07T18:55:50.118Z")
+- data (TEXT): Full calldata (hex string); usually empty, since it's only stored when CALLDATA_MODE=full
+- method_selector (VARCHAR): First 4 bytes of the calldata, identifying the called function (e.g., "0xa9059cbb"); NULL for plain ETH transfers
+- method_name (VARCHAR): Name of the called function (e.g., "transfer", "swapExactTokensForTokens"); NULL when the selector is unknown
+- tx_type (INTEGER): Transaction type: 0 = legacy, 1 = EIP-2930 access list, 2 = EIP-1559, 3 = EIP-4844 blob
+- max_fee_per_gas (VARCHAR): EIP-1559 max fee per gas in wei as string, NULL for legacy (type 0/1)
+- max_priority_fee_per_gas (VARCHAR): EIP-1559 max priority fee (tip) per gas in wei as string, NULL for legacy (type 0/1)
+- chain_id (BIGINT): Chain id the transaction was signed for (e.g., 1 for mainnet)
+- access_list (TEXT): EIP-2930 access list as JSON (e.g., '[{"address":"0x...","storageKeys":["0x..."]}]'), NULL for legacy
+- max_fee_per_blob_gas (VARCHAR): EIP-4844 max fee per blob gas in wei as string, NULL unless tx_type = 3
+- blob_versioned_hashes (TEXT): EIP-4844 blob versioned hashes as JSON array, NULL unless tx_type = 3
+- blob_count (INTEGER): Number of blobs carried, NULL unless tx_type = 3
+- seen_in_mempool (BOOLEAN): Whether the transaction was seen pending in our mempool feed before being mined; NULL when the feed wasn't running
+- inclusion_latency_ms (BIGINT): Milliseconds from first mempool sighting to the block timestamp, NULL if never seen
+- timestamp (TIMESTAMP): Block timestamp, i.e. when the transaction was mined (e.g., "2025-08-07T18:55:47")
 - created_at (TIMESTAMP): When record was stored in database (e.g., "2025-08-07T18:55:50.118Z")
 
+Table: blocks
+Primary Key: number (joins to transactions.block_number)
+
+COLUMNS:
+--------
+- number (BIGINT): Block number
+- hash (VARCHAR): Block hash
+- parent_hash (VARCHAR): Hash of the previous block
+- timestamp (TIMESTAMP): Block timestamp from the chain
+- miner (VARCHAR): Fee recipient address of the block
+- gas_used (BIGINT): Total gas used by the block
+- gas_limit (BIGINT): Block gas limit
+- base_fee_per_gas (VARCHAR): EIP-1559 base fee in wei as string
+- blob_gas_used (BIGINT): EIP-4844 blob gas used by the block (131072 per blob), NULL before Cancun
+- excess_blob_gas (BIGINT): EIP-4844 excess blob gas, NULL before Cancun
+- blob_base_fee (VARCHAR): Blob base fee in wei per blob gas as string, NULL before Cancun
+- tx_count (INTEGER): Number of transactions in the block
+- ingested_at (TIMESTAMP): When the block was stored in the database
+
+Table: withdrawals
+Primary Key: withdrawal_index (joins to blocks.number via block_number)
+
+COLUMNS:
+--------
+- withdrawal_index (BIGINT): Consensus layer withdrawal counter, unique per network
+- validator_index (BIGINT): Beacon chain validator the withdrawal is from
+- address (VARCHAR): Checksummed address credited with the ETH
+- amount_gwei (BIGINT): Amount in gwei (divide by 1000000000 for ETH)
+- block_number (BIGINT): Block the withdrawal was credited in
+- timestamp (TIMESTAMP): Block timestamp
+
+Table: prices
+Primary Key: (asset, timestamp)
+
+COLUMNS:
+--------
+- asset (VARCHAR): 'ETH' or a token contract address (joins to token_transfers.token_address)
+- timestamp (TIMESTAMP): When the price applies; it holds until the next point for the asset
+- price_usd (DOUBLE): Price of one whole unit in USD
+- decimals (INTEGER): Decimals of the asset's raw amounts (18 for ETH)
+- block_number (BIGINT): Block a Chainlink price was read at; NULL for imported prices
+- source (VARCHAR): 'chainlink' or 'csv'
+
+View: transactions_usd
+Every transactions column plus:
+- eth_price_usd (DOUBLE): ETH price at the transaction's block time, NULL when no earlier price is stored
+- value_usd (DOUBLE): value in USD
+
+View: token_transfers_usd
+Every token_transfers column plus:
+- timestamp (TIMESTAMP): Block time of the transfer
+- price_usd (DOUBLE): Token price at that time, NULL for tokens without prices
+- amount_usd (DOUBLE): amount scaled by the token's decimals, in USD
+
+Table: receipts
+Primary Key: hash (joins to transactions.hash)
+
+COLUMNS:
+--------
+- hash (VARCHAR): Transaction hash, same as transactions.hash
+- block_number (BIGINT): Block the transaction was mined in
+- transaction_index (INTEGER): Position of the transaction in its block
+- status (INTEGER): 1 = succeeded, 0 = failed/reverted
+- gas_used (BIGINT): Gas actually consumed by the transaction (e.g., 21000)
+- cumulative_gas_used (BIGINT): Gas used in the block up to and including this transaction
+- effective_gas_price (VARCHAR): Price per gas actually paid, in wei as string (e.g., "1142345615")
+- contract_address (VARCHAR): Address of the deployed contract for contract creations, otherwise NULL
+- logs_count (INTEGER): Number of event logs emitted
+
 DATA CONTEXT:
 ------------
 - Current dataset: ~22,620 transactions
@@ -171,14 +1319,121 @@ DATA CONTEXT:
 - Value amounts are in wei (1 ETH = 1,000,000,000,000,000,000 wei)
 - Gas prices are in wei per gas unit
 
+Table: method_signatures
+Primary Key: selector (joins to transactions.method_selector; shared by all networks, no network column)
+
+COLUMNS:
+--------
+- selector (VARCHAR): 4-byte selector (e.g., "0xa9059cbb")
+- signature (VARCHAR): Canonical function signature (e.g., "transfer(address,uint256)")
+- name (VARCHAR): Function name (e.g., "transfer")
+
+Table: ens_names
+Primary Key: address (joins to any *_address column; shared by all networks, no network column)
+
+COLUMNS:
+--------
+- address (VARCHAR): Checksummed address
+- name (VARCHAR): Verified primary ENS name (e.g., "vitalik.eth"); NULL if the address has none
+- resolved_at (TIMESTAMP): When the name was looked up
+
+Table: address_labels
+Primary Key: address (joins to any *_address column)
+
+COLUMNS:
+--------
+- address (VARCHAR): Checksummed address
+- label (VARCHAR): Name of this particular address (e.g., "Binance 14", "Arbitrum Bridge")
+- entity (VARCHAR): Organization the address belongs to (e.g., "Binance"); one entity has many addresses
+- category (VARCHAR): Lowercase kind of entity (e.g., "exchange", "bridge", "treasury")
+
+KNOWN ENTITIES: ${entities.length > 0 ? entities.slice(0, 100).join(', ') : 'none labeled yet'}
+
+Table: contracts
+Primary Key: address (joins to transactions.to_address for calls to the contract)
+
+COLUMNS:
+--------
+- address (VARCHAR): Checksummed address of the deployed contract
+- deployer (VARCHAR): Address that sent the creation transaction
+- transaction_hash (VARCHAR): Creation transaction (joins to transactions.hash)
+- block_number (BIGINT): Block the contract was deployed in
+- bytecode_hash (VARCHAR): keccak256 of the deployed runtime bytecode; equal hashes mean identical code; NULL if the code could not be read
+- code_size (INTEGER): Runtime bytecode size in bytes (NULL with bytecode_hash)
+
+Table: address_types
+Primary Key: address (joins to any *_address column)
+
+COLUMNS:
+--------
+- address (VARCHAR): Checksummed address
+- type (VARCHAR): 'eoa' or 'contract'
+- code_hash (VARCHAR): keccak256 of the address's code; NULL for plain EOAs
+- code_size (INTEGER): Code size in bytes (0 for plain EOAs)
+- delegated_to (VARCHAR): Contract an EIP-7702 EOA delegates to; NULL otherwise
+- checked_at (TIMESTAMP): When the code was last fetched
+
+Table: mempool_sightings
+Primary Key: hash (joins to transactions.hash once mined)
+
+COLUMNS:
+--------
+- hash (VARCHAR): Transaction hash
+- first_seen_at (TIMESTAMP): When the pending transaction was first seen
+- source (VARCHAR): 'subscription' or 'txpool'
+- from_address, to_address (VARCHAR): Sender and recipient (txpool source only)
+- nonce (BIGINT), gas_price, max_fee_per_gas, max_priority_fee_per_gas (VARCHAR, wei): Fee fields (txpool source only)
+
+Table: token_transfers
+Primary Key: (transaction_hash, log_index)
+
+COLUMNS:
+--------
+- transaction_hash (VARCHAR): Transaction that emitted the transfer, joins to transactions.hash
+- log_index (INTEGER): Position of the Transfer event in its block
+- block_number (BIGINT): Block number
+- token_address (VARCHAR): ERC-20 token contract address
+- from_address (VARCHAR): Sender of the tokens (0x0000000000000000000000000000000000000000 for mints)
+- to_address (VARCHAR): Recipient of the tokens (0x0000000000000000000000000000000000000000 for burns)
+- amount (VARCHAR): Raw token amount as string, NOT scaled by the token's decimals
+
+Table: internal_transfers
+Primary Key: (network, transaction_hash, trace_address)
+
+COLUMNS:
+--------
+- transaction_hash (VARCHAR): Transaction whose call trace contains the transfer, joins to transactions.hash
+- trace_address (VARCHAR): Position of the call in the call tree (e.g., "0.2.1")
+- block_number (BIGINT): Block number
+- depth (INTEGER): Call depth, 1 = called directly by the transaction's target
+- call_type (VARCHAR): CALL, CALLCODE, CREATE, CREATE2 or SELFDESTRUCT
+- from_address (VARCHAR): Contract sending the ETH
+- to_address (VARCHAR): Recipient of the ETH (the new contract for CREATE/CREATE2)
+- value (VARCHAR): ETH moved in wei as string
+- error (VARCHAR): Why the call (or a call above it) reverted; NULL if the ETH actually moved
+
 IMPORTANT SQL NOTES:
 ------------------
 1. VALUES ARE STRINGS: value and gas_price are stored as VARCHAR, use CAST(value AS BIGINT) for math
 2. WEI CONVERSION: To convert wei to ETH, divide by 1000000000000000000 (18 zeros)
 3. ADDRESS SEARCHES: Use LIKE or = for address matching, addresses are case-sensitive hex strings
-4. TIME QUERIES: Both timestamp and created_at are TIMESTAMP fields, use standard SQL date functions
+4. TIME QUERIES: timestamp is when the transaction was mined (block time), created_at is when it was stored; both are TIMESTAMP fields, use standard SQL date functions
 5. SORTING: Use ORDER BY created_at DESC for most recent, ORDER BY CAST(value AS BIGINT) DESC for highest value
-6. NULL HANDLING: to_address can be NULL for contract creation transactions
+6. NULL HANDLING: to_address is NULL for contract creation transactions; the created address is in contracts (JOIN contracts c ON c.transaction_hash = t.hash)
+7. FEES: Transaction fee in wei = receipts.gas_used * CAST(receipts.effective_gas_price AS DOUBLE); JOIN receipts r ON r.hash = t.hash
+8. STATUS: Not every transaction has a receipt yet; use a JOIN for fee/status questions
+9. TOKENS: token_transfers.amount is a raw integer string; CAST(amount AS DOUBLE) for math. "Token transfers" means token_transfers, not transactions.value
+10. EIP-1559: For type 2 transactions the paid tip per gas is receipts.effective_gas_price - blocks.base_fee_per_gas; max_priority_fee_per_gas is only the cap
+11. BLOBS: Blob fee in wei = blob_count * 131072 * CAST(blocks.blob_base_fee AS DOUBLE); JOIN blocks b ON b.number = t.block_number. Blob posters are mostly rollup batchers
+12. MEMPOOL: seen_in_mempool = false usually means the transaction was submitted privately rather than broadcast; filter seen_in_mempool IS NOT NULL when comparing, since NULL means unknown
+13. NETWORKS: The query only sees rows of network '${req.network}', so filtering on network is optional; joining on network as well (e.g. JOIN receipts r ON r.hash = t.hash AND r.network = t.network) is harmless
+14. INTERNAL TRANSFERS: "Internal transactions" means internal_transfers (ETH sent by contracts), not transactions; filter error IS NULL to count only ETH that actually moved
+15. METHODS: Group by method_name (or method_selector when the name is NULL) for "which functions are called most"; method_signatures has one row per selector
+16. ENS: For an ENS name like "vitalik.eth" look up its address in ens_names (WHERE from_address IN (SELECT address FROM ens_names WHERE name = 'vitalik.eth')); LEFT JOIN ens_names to show names, since only addresses seen in API responses are cached
+17. LABELS: For an entity or label name (e.g. "Binance", "exchanges") JOIN address_labels l ON l.address = t.to_address AND l.network = t.network and filter LOWER(l.entity) = 'binance' or l.category = 'exchange'; use to_address for "to", from_address for "from"
+18. CONTRACTS: "Deployments" or "contract creations" means the contracts table (only direct deployments; contracts created by factory contracts are not listed). address_types covers deployed contracts, the to_address of every ingested transaction and addresses looked up through the API, so join it on to_address to split calls to contracts from plain transfers; it doesn't list every EOA (senders are only there if looked up)
+19. WITHDRAWALS: Staking withdrawals (validator rewards and exits) are in withdrawals, not transactions; they carry no gas or sender. Sum amount_gwei for totals and group by address for "who receives the most staking withdrawals"
+20. USD: For dollar amounts query transactions_usd (value_usd) or token_transfers_usd (amount_usd) instead of converting wei yourself; filter value_usd IS NOT NULL, since rows before the first stored price have no USD value
 
 EXAMPLE QUERIES:
 --------------
@@ -186,6 +1441,21 @@ EXAMPLE QUERIES:
 - High value transactions: SELECT *, CAST(value AS BIGINT)/1000000000000000000.0 as eth_value FROM transactions WHERE CAST(value AS BIGINT) > 1000000000000000000 ORDER BY CAST(value AS BIGINT) DESC LIMIT 10
 - Address activity: SELECT * FROM transactions WHERE from_address = '0x...' OR to_address = '0x...' ORDER BY created_at DESC
 - Daily stats: SELECT DATE(created_at) as day, COUNT(*) as tx_count FROM transactions GROUP BY DATE(created_at) ORDER BY day DESC
+- Failed transactions: SELECT t.hash, t.from_address, t.to_address FROM transactions t JOIN receipts r ON r.hash = t.hash AND r.network = t.network WHERE t.network = '${req.network}' AND r.status = 0 ORDER BY t.created_at DESC LIMIT 10
+- Legacy vs EIP-1559 mix: SELECT tx_type, COUNT(*) as tx_count FROM transactions GROUP BY tx_type ORDER BY tx_type
+- Average priority fee cap (gwei): SELECT AVG(CAST(max_priority_fee_per_gas AS DOUBLE))/1000000000.0 as avg_tip_gwei FROM transactions WHERE tx_type = 2
+- Block gas usage: SELECT number, timestamp, gas_used * 100.0 / gas_limit as gas_used_pct, tx_count FROM blocks ORDER BY number DESC LIMIT 10
+- Private/direct transactions (never seen in mempool): SELECT hash, from_address, to_address FROM transactions WHERE seen_in_mempool = false ORDER BY block_number DESC LIMIT 20
+- Median inclusion latency (seconds): SELECT MEDIAN(inclusion_latency_ms)/1000.0 as median_latency_s FROM transactions WHERE seen_in_mempool
+- Top blob posters: SELECT from_address, SUM(blob_count) as blobs FROM transactions WHERE tx_type = 3 GROUP BY from_address ORDER BY blobs DESC LIMIT 10
+- Most called methods: SELECT method_name, method_selector, COUNT(*) as tx_count FROM transactions WHERE method_selector IS NOT NULL GROUP BY method_name, method_selector ORDER BY tx_count DESC LIMIT 10
+- Largest internal ETH transfers: SELECT transaction_hash, from_address, to_address, CAST(value AS DOUBLE)/1000000000000000000.0 as eth_value FROM internal_transfers WHERE error IS NULL ORDER BY CAST(value AS DOUBLE) DESC LIMIT 10
+- Transactions from an ENS name: SELECT t.hash, t.to_address, CAST(t.value AS DOUBLE)/1000000000000000000.0 as eth_value FROM transactions t JOIN ens_names e ON e.address = t.from_address WHERE e.name = 'vitalik.eth' ORDER BY t.block_number DESC LIMIT 10
+- Transactions to Binance: SELECT t.hash, t.from_address, t.to_address, l.label, CAST(t.value AS DOUBLE)/1000000000000000000.0 as eth_value FROM transactions t JOIN address_labels l ON l.address = t.to_address AND l.network = t.network WHERE t.network = '${req.network}' AND LOWER(l.entity) = 'binance' ORDER BY t.block_number DESC LIMIT 20
+- Staking withdrawals per address: SELECT address, COUNT(*) as withdrawal_count, CAST(SUM(amount_gwei) AS DOUBLE)/1000000000.0 as total_eth FROM withdrawals GROUP BY address ORDER BY total_eth DESC LIMIT 10
+- Largest transfers in USD: SELECT hash, from_address, to_address, value_usd FROM transactions_usd WHERE value_usd IS NOT NULL ORDER BY value_usd DESC LIMIT 10
+- Most transferred tokens: SELECT token_address, COUNT(*) as transfers FROM token_transfers GROUP BY token_address ORDER BY transfers DESC LIMIT 10
+- Highest fees: SELECT t.hash, r.gas_used * CAST(r.effective_gas_price AS DOUBLE)/1000000000000000000.0 as fee_eth FROM transactions t JOIN receipts r ON r.hash = t.hash AND r.network = t.network WHERE t.network = '${req.network}' ORDER BY fee_eth DESC LIMIT 10
       `;
 
       let sqlQuery;
@@ -199,7 +1469,7 @@ EXAMPLE QUERIES:
           usedProvider = provider;
         } catch (error) {
           console.warn(`${provider} API failed, falling back to rule-based conversion:`, error.message);
-          sqlQuery = convertNaturalLanguageToSQL(naturalLanguage.toLowerCase());
+          sqlQuery = convertNaturalLanguageToSQL(naturalLanguage.toLowerCase(), entities);
         }
       } else if (config.groqApiKey) {
         console.log(`[DEBUG] Using server-side Groq API key`);
@@ -209,17 +1479,20 @@ EXAMPLE QUERIES:
           usedProvider = 'groq';
         } catch (error) {
           console.warn('Groq API failed, falling back to rule-based conversion:', error.message);
-          sqlQuery = convertNaturalLanguageToSQL(naturalLanguage.toLowerCase());
+          sqlQuery = convertNaturalLanguageToSQL(naturalLanguage.toLowerCase(), entities);
         }
       } else {
         console.log(`[DEBUG] No AI provider available. Provider: ${provider}, ApiKey: ${apiKey ? 'present' : 'missing'}, ServerGroq: ${config.groqApiKey ? 'present' : 'missing'}`);
         // Fallback to rule-based conversion
-        sqlQuery = convertNaturalLanguageToSQL(naturalLanguage.toLowerCase());
+        sqlQuery = convertNaturalLanguageToSQL(naturalLanguage.toLowerCase(), entities);
       }
       
+      // The SQL isn't rewritten for the network: POST /query with the same
+      // network runs it against that network's rows only
       res.json({
         naturalLanguage,
         sqlQuery,
+        network: req.network,
         schema,
         method: usedProvider,
         model: model || (usedProvider === 'groq' ? 'llama-3.1-70b-versatile' : null)
@@ -454,9 +1727,73 @@ Generate the SQL query:`;
   }
 
   // Enhanced rule-based NL to SQL converter 
-  function convertNaturalLanguageToSQL(nl) {
+  function convertNaturalLanguageToSQL(nl, entities = []) {
     console.log(`[DEBUG] Rule-based conversion for: "${nl}"`);
+
+    // Transactions to or from a labeled entity ("transactions to binance"), matched
+    // on whole words so an entity named "Us" doesn't match "status"
+    const words = text => ` ${text.replace(/[^a-z0-9]+/g, ' ').trim()} `;
+    const mentions = phrase => words(nl).includes(words(phrase));
+    const entity = entities.find(name => mentions(name.toLowerCase()));
+    if (entity) {
+      const name = entity.toLowerCase();
+      const literal = `'${name.replace(/'/g, "''")}'`;
+      const joinOn = mentions(`to ${name}`) ? 'l.address = t.to_address'
+        : mentions(`from ${name}`) ? 'l.address = t.from_address'
+        : 'l.address IN (t.from_address, t.to_address)';
+      return `SELECT t.hash, t.from_address, t.to_address, l.label, CAST(t.value AS DOUBLE)/1000000000000000000.0 as eth_value FROM transactions t JOIN address_labels l ON ${joinOn} AND l.network = t.network WHERE LOWER(l.entity) = ${literal} ORDER BY t.block_number DESC LIMIT 20;`;
+    }
     
+    // Dollar values (checked before tokens: "token transfers in USD" wants amount_usd)
+    if (nl.includes('usd') || nl.includes('dollar') || nl.includes('$')) {
+      if (nl.includes('token')) {
+        return 'SELECT transaction_hash, token_address, from_address, to_address, amount_usd FROM token_transfers_usd WHERE amount_usd IS NOT NULL ORDER BY amount_usd DESC LIMIT 10;';
+      }
+      return 'SELECT hash, from_address, to_address, value_usd FROM transactions_usd WHERE value_usd IS NOT NULL ORDER BY value_usd DESC LIMIT 10;';
+    }
+
+    // Token transfers (check first: "top tokens" isn't about top senders)
+    if (nl.includes('token')) {
+      if (nl.includes('top') || nl.includes('most')) {
+        return 'SELECT token_address, COUNT(*) as transfer_count FROM token_transfers GROUP BY token_address ORDER BY transfer_count DESC LIMIT 10;';
+      }
+      return 'SELECT * FROM token_transfers ORDER BY block_number DESC, log_index DESC LIMIT 20;';
+    }
+
+    // Called functions
+    if (nl.includes('method') || nl.includes('function')) {
+      return 'SELECT method_name, method_selector, COUNT(*) as tx_count FROM transactions WHERE method_selector IS NOT NULL GROUP BY method_name, method_selector ORDER BY tx_count DESC LIMIT 10;';
+    }
+
+    // Internal transactions (ETH sent by contracts, from call traces)
+    if (nl.includes('internal')) {
+      return 'SELECT transaction_hash, block_number, call_type, from_address, to_address, CAST(value AS DOUBLE)/1000000000000000000.0 as eth_value FROM internal_transfers WHERE error IS NULL ORDER BY block_number DESC LIMIT 20;';
+    }
+
+    // Mempool visibility
+    if (nl.includes('mempool') || nl.includes('private')) {
+      if (nl.includes('pending')) {
+        return 'SELECT m.* FROM mempool_sightings m LEFT JOIN transactions t ON t.hash = m.hash WHERE t.hash IS NULL ORDER BY m.first_seen_at DESC LIMIT 20;';
+      }
+      return 'SELECT seen_in_mempool, COUNT(*) as tx_count, MEDIAN(inclusion_latency_ms) as median_latency_ms FROM transactions WHERE seen_in_mempool IS NOT NULL GROUP BY seen_in_mempool;';
+    }
+
+    // Staking withdrawals (checked early: "top withdrawal addresses" isn't about top senders)
+    if (nl.includes('withdrawal') || nl.includes('staking')) {
+      if (nl.includes('top') || nl.includes('most') || nl.includes('address') || nl.includes('recipient')) {
+        return 'SELECT address, COUNT(*) as withdrawal_count, CAST(SUM(amount_gwei) AS DOUBLE)/1000000000.0 as total_eth FROM withdrawals GROUP BY address ORDER BY total_eth DESC LIMIT 10;';
+      }
+      return 'SELECT block_number, COUNT(*) as withdrawal_count, CAST(SUM(amount_gwei) AS DOUBLE)/1000000000.0 as total_eth FROM withdrawals GROUP BY block_number ORDER BY block_number DESC LIMIT 20;';
+    }
+
+    // Blob transactions (also checked early: "top blob senders" isn't about top senders)
+    if (nl.includes('blob') || nl.includes('rollup')) {
+      if (nl.includes('top') || nl.includes('most') || nl.includes('sender') || nl.includes('rollup')) {
+        return 'SELECT from_address, COUNT(*) as blob_tx_count, SUM(blob_count) as blobs FROM transactions WHERE tx_type = 3 GROUP BY from_address ORDER BY blobs DESC LIMIT 10;';
+      }
+      return 'SELECT hash, from_address, block_number, blob_count, max_fee_per_blob_gas FROM transactions WHERE tx_type = 3 ORDER BY block_number DESC LIMIT 20;';
+    }
+
     // Large value patterns (check before recent patterns)
     if (nl.includes('large') || nl.includes('big') || nl.includes('expensive')) {
       return 'SELECT hash, from_address, to_address, CAST(value AS DOUBLE)/1000000000000000000.0 as eth_value FROM transactions WHERE CAST(value AS DOUBLE) > 100000000000000000 ORDER BY CAST(value AS DOUBLE) DESC LIMIT 10;';
@@ -507,6 +1844,14 @@ Generate the SQL query:`;
       return 'SELECT DATE(created_at) as date, COUNT(*) as daily_txs FROM transactions GROUP BY DATE(created_at) ORDER BY date DESC LIMIT 7;';
     }
     
+    if (nl.includes('failed') || nl.includes('reverted')) {
+      return 'SELECT t.hash, t.from_address, t.to_address, r.gas_used FROM transactions t JOIN receipts r ON r.hash = t.hash WHERE r.status = 0 ORDER BY t.created_at DESC LIMIT 20;';
+    }
+
+    if (nl.includes('fee')) {
+      return 'SELECT t.hash, t.from_address, r.gas_used * CAST(r.effective_gas_price AS DOUBLE)/1000000000000000000.0 as fee_eth FROM transactions t JOIN receipts r ON r.hash = t.hash ORDER BY fee_eth DESC LIMIT 10;';
+    }
+
     if (nl.includes('gas')) {
       if (nl.includes('price')) {
         return 'SELECT AVG(CAST(gas_price AS DOUBLE)) as avg_gas_price, MAX(CAST(gas_price AS DOUBLE)) as max_gas_price FROM transactions;';
@@ -875,7 +2220,9 @@ Generate the SQL query:`;
   // NEW: Custom SQL query endpoint (be careful with this in production)
   router.post('/query', async (req, res) => {
     try {
-      const { sql, params = [] } = req.body;
+      // Every *_address column gets a *_label column from address_labels, unless
+      // labels is false; resolveNames also adds a *_name column with its ENS name
+      const { sql, params = [], labels = true, resolveNames = false } = req.body;
       
       if (!sql) {
         return res.status(400).json({ error: 'SQL query is required' });
@@ -886,8 +2233,15 @@ Generate the SQL query:`;
         return res.status(400).json({ error: 'Only SELECT queries are allowed' });
       }
 
-      const results = await database.query(sql, params);
-      const serializedResults = serializeResults(results);
+      // Runs against req.network's rows only, like every other route
+      const results = await database.queryNetwork(req.network, sql, params);
+      let serializedResults = serializeResults(results);
+      if (resolveNames) {
+        serializedResults = await ensResolver.withNames(serializedResults);
+      }
+      if (labels) {
+        serializedResults = await withLabels(database, req.network, serializedResults);
+      }
       
       res.json({
         rowCount: serializedResults.length,
@@ -0,0 +1,195 @@
+const config = require('./config');
+
+// Weight of the newest sample in the latency and success-rate moving averages
+const HEALTH_SMOOTHING = 0.2;
+
+// Budget and health state per RPC key, shared by every network using that key
+// (an Infura key's quota covers all the networks it serves)
+const endpointStates = new Map();
+
+function endpointId(endpoint) {
+  return endpoint.type === 'infura' ? `infura:${endpoint.apiKey}` : endpoint.url;
+}
+
+function utcDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function msUntilNextUtcDay(time) {
+  const next = new Date(time);
+  next.setUTCHours(24, 0, 0, 0);
+  return next.getTime() - time;
+}
+
+function getEndpointState(endpoint) {
+  const id = endpointId(endpoint);
+  if (!endpointStates.has(id)) {
+    const now = Date.now();
+    endpointStates.set(id, {
+      label: endpoint.label,
+      networks: new Set(),
+      // Token bucket; an RPC_REQUESTS_PER_SECOND of 0 means unlimited, and a
+      // recording being replayed has no rate limit to respect
+      tokens: config.rpcRequestsPerSecond > 0 && endpoint.type !== 'replay' ? config.rpcBurst : Infinity,
+      lastRefillAt: now,
+      // Set after rate limits; doubles with each consecutive 429
+      cooldownUntil: 0,
+      consecutiveRateLimits: 0,
+      day: utcDay(now),
+      dailyRequests: 0,
+      requests: 0,
+      failures: 0,
+      rateLimited: 0,
+      latencyMs: null,
+      successRate: 1,
+      lastError: null,
+      lastErrorAt: null,
+      lastUsedAt: null
+    });
+  }
+  return endpointStates.get(id);
+}
+
+function refill(state, now) {
+  if (state.day !== utcDay(now)) {
+    state.day = utcDay(now);
+    state.dailyRequests = 0;
+  }
+  if (state.tokens === Infinity) return;
+  const elapsedSeconds = (now - state.lastRefillAt) / 1000;
+  state.tokens = Math.min(config.rpcBurst, state.tokens + elapsedSeconds * config.rpcRequestsPerSecond);
+  state.lastRefillAt = now;
+}
+
+// Milliseconds until the endpoint may be sent a request (0 = now)
+function msUntilReady(state, now) {
+  let wait = Math.max(0, state.cooldownUntil - now);
+  if (config.rpcDailyQuota > 0 && state.dailyRequests >= config.rpcDailyQuota) {
+    wait = Math.max(wait, msUntilNextUtcDay(now));
+  }
+  if (state.tokens < 1) {
+    wait = Math.max(wait, Math.ceil((1 - state.tokens) / config.rpcRequestsPerSecond * 1000));
+  }
+  return wait;
+}
+
+// Higher is better: the recent success rate, discounted by average latency
+function healthScore(state) {
+  return state.successRate / (1 + (state.latencyMs || 0) / 1000);
+}
+
+function recordSample(state, success, latencyMs) {
+  state.successRate += HEALTH_SMOOTHING * ((success ? 1 : 0) - state.successRate);
+  if (latencyMs !== null) {
+    state.latencyMs = state.latencyMs === null
+      ? latencyMs
+      : state.latencyMs + HEALTH_SMOOTHING * (latencyMs - state.latencyMs);
+  }
+}
+
+// Chooses which of a network's RPC endpoints serves each request: the healthiest
+// one with budget left, waiting for a token when every endpoint is spent
+class RequestScheduler {
+  constructor(endpoints, networkName) {
+    this.endpoints = endpoints;
+    this.states = endpoints.map(endpoint => getEndpointState(endpoint));
+    this.states.forEach(state => state.networks.add(networkName));
+  }
+
+  // Take a token and return the index of the endpoint to use. Endpoints in
+  // `tried` (already failed for this call) are only used when nothing else is left.
+  async acquire(tried = new Set()) {
+    for (;;) {
+      const now = Date.now();
+      const untried = this.states.map((state, index) => index).filter(index => !tried.has(index));
+      const candidates = untried.length > 0 ? untried : this.states.map((state, index) => index);
+
+      let best = null;
+      let wait = Infinity;
+      for (const index of candidates) {
+        const state = this.states[index];
+        refill(state, now);
+        const ready = msUntilReady(state, now);
+        if (ready > 0) {
+          wait = Math.min(wait, ready);
+        } else if (best === null || healthScore(state) > healthScore(this.states[best])) {
+          best = index;
+        }
+      }
+
+      if (best !== null) {
+        const state = this.states[best];
+        state.tokens -= 1;
+        state.requests += 1;
+        state.dailyRequests += 1;
+        state.lastUsedAt = now;
+        return best;
+      }
+
+      if (wait > config.rpcMaxWaitMs) {
+        const error = new Error(`All RPC endpoints are rate limited or out of quota for the next ${Math.ceil(wait / 1000)}s`);
+        error.code = 'RPC_BUDGET_EXHAUSTED';
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  // The endpoint answered (even with a JSON-RPC error, which isn't its fault)
+  recordSuccess(index, latencyMs) {
+    const state = this.states[index];
+    state.consecutiveRateLimits = 0;
+    recordSample(state, true, latencyMs);
+  }
+
+  // The endpoint failed; rate limits also empty its bucket and start a cooldown
+  recordFailure(index, error, rateLimited) {
+    const state = this.states[index];
+    state.failures += 1;
+    state.lastError = error.message;
+    state.lastErrorAt = Date.now();
+    recordSample(state, false, null);
+
+    if (rateLimited) {
+      state.rateLimited += 1;
+      state.consecutiveRateLimits += 1;
+      if (state.tokens !== Infinity) state.tokens = 0;
+      const cooldownMs = Math.min(
+        config.rpcCooldownMs * 2 ** (state.consecutiveRateLimits - 1),
+        config.rpcMaxCooldownMs
+      );
+      state.cooldownUntil = Date.now() + cooldownMs;
+      return cooldownMs;
+    }
+    return 0;
+  }
+
+  // Usage and health per endpoint, for /admin/providers/health
+  getHealth() {
+    const now = Date.now();
+    return this.states.map((state, index) => {
+      refill(state, now);
+      return {
+        index,
+        label: state.label,
+        networks: Array.from(state.networks),
+        score: Number(healthScore(state).toFixed(3)),
+        successRate: Number(state.successRate.toFixed(3)),
+        avgLatencyMs: state.latencyMs === null ? null : Math.round(state.latencyMs),
+        availableTokens: state.tokens === Infinity ? null : Math.floor(state.tokens),
+        readyInMs: msUntilReady(state, now),
+        coolingDownUntil: state.cooldownUntil > now ? new Date(state.cooldownUntil).toISOString() : null,
+        requests: state.requests,
+        dailyRequests: state.dailyRequests,
+        dailyQuota: config.rpcDailyQuota || null,
+        failures: state.failures,
+        rateLimited: state.rateLimited,
+        lastError: state.lastError,
+        lastErrorAt: state.lastErrorAt ? new Date(state.lastErrorAt).toISOString() : null,
+        lastUsedAt: state.lastUsedAt ? new Date(state.lastUsedAt).toISOString() : null
+      };
+    });
+  }
+}
+
+module.exports = RequestScheduler;
@@ -0,0 +1,72 @@
+const { ethers } = require('ethers');
+
+// Widely used function signatures, seeded into method_signatures on startup so
+// common calls resolve without an import. POST /admin/signatures adds more.
+const COMMON_SIGNATURES = [
+  // ERC-20
+  'transfer(address,uint256)',
+  'transferFrom(address,address,uint256)',
+  'approve(address,uint256)',
+  'increaseAllowance(address,uint256)',
+  'decreaseAllowance(address,uint256)',
+  'permit(address,address,uint256,uint256,uint8,bytes32,bytes32)',
+  // WETH
+  'deposit()',
+  'withdraw(uint256)',
+  // ERC-721 / ERC-1155
+  'safeTransferFrom(address,address,uint256)',
+  'safeTransferFrom(address,address,uint256,bytes)',
+  'safeTransferFrom(address,address,uint256,uint256,bytes)',
+  'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)',
+  'setApprovalForAll(address,bool)',
+  'mint(address,uint256)',
+  // Uniswap V2 style routers
+  'swapExactTokensForTokens(uint256,uint256,address[],address,uint256)',
+  'swapTokensForExactTokens(uint256,uint256,address[],address,uint256)',
+  'swapExactETHForTokens(uint256,address[],address,uint256)',
+  'swapExactTokensForETH(uint256,uint256,address[],address,uint256)',
+  'swapExactETHForTokensSupportingFeeOnTransferTokens(uint256,address[],address,uint256)',
+  'swapExactTokensForETHSupportingFeeOnTransferTokens(uint256,uint256,address[],address,uint256)',
+  'swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256,uint256,address[],address,uint256)',
+  'addLiquidity(address,address,uint256,uint256,uint256,uint256,address,uint256)',
+  'addLiquidityETH(address,uint256,uint256,uint256,address,uint256)',
+  'removeLiquidity(address,address,uint256,uint256,uint256,address,uint256)',
+  'removeLiquidityETH(address,uint256,uint256,uint256,address,uint256)',
+  // Uniswap V3 / Universal Router
+  'exactInputSingle((address,address,uint24,address,uint256,uint256,uint256,uint160))',
+  'exactInput((bytes,address,uint256,uint256,uint256))',
+  'multicall(bytes[])',
+  'multicall(uint256,bytes[])',
+  'execute(bytes,bytes[])',
+  'execute(bytes,bytes[],uint256)',
+  // Smart accounts and batching
+  'execTransaction(address,uint256,bytes,uint8,uint256,uint256,uint256,address,address,bytes)',
+  'handleOps((address,uint256,bytes,bytes,uint256,uint256,uint256,uint256,uint256,bytes,bytes)[],address)',
+  'aggregate((address,bytes)[])',
+  'aggregate3((address,bool,bytes)[])'
+];
+
+// The 4-byte selector that starts a transaction's calldata, or null for plain
+// ETH transfers and calldata too short to hold one
+function getMethodSelector(data) {
+  if (!data || data.length < 10) return null;
+  return data.slice(0, 10).toLowerCase();
+}
+
+// Normalize a text signature such as "transfer(address to, uint256 amount)" to
+// its canonical form and compute its selector. Throws on invalid signatures.
+function parseSignature(text) {
+  const fragment = ethers.utils.FunctionFragment.from(text.trim().replace(/^function\s+/, ''));
+  const signature = fragment.format(ethers.utils.FormatTypes.sighash);
+  return {
+    selector: ethers.utils.id(signature).slice(0, 10),
+    signature,
+    name: fragment.name
+  };
+}
+
+module.exports = {
+  COMMON_SIGNATURES,
+  getMethodSelector,
+  parseSignature
+};
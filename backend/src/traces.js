@@ -0,0 +1,107 @@
+const { ethers } = require('ethers');
+
+// Call types as reported by geth's callTracer; trace_block uses lowercase names
+// and reports self-destructs as "suicide"
+const SELFDESTRUCT = 'SELFDESTRUCT';
+
+function toWei(value) {
+  return value ? ethers.BigNumber.from(value).toString() : '0';
+}
+
+// Tracers return lowercase addresses; checksum them to match the other tables
+function toAddress(address) {
+  return address ? ethers.utils.getAddress(address) : null;
+}
+
+// Only frames below the top-level call that actually carry ETH are kept.
+// A frame inside a reverted call moved nothing either, so it inherits the
+// nearest reverted ancestor's error: error IS NULL means the ETH moved.
+function isInternalTransfer(row) {
+  return row.depth > 0 && row.value !== '0';
+}
+
+// Flatten one debug_traceTransaction callTracer result into internal transfer rows.
+// traceAddress is the frame's position in the call tree, e.g. "0.2.1".
+function flattenCallTrace(transactionHash, blockNumber, rootFrame) {
+  const rows = [];
+
+  const visit = (frame, path, inheritedError) => {
+    const error = frame.error || inheritedError;
+    const row = {
+      transactionHash,
+      traceAddress: path.join('.'),
+      blockNumber,
+      depth: path.length,
+      callType: (frame.type || 'CALL').toUpperCase(),
+      from: toAddress(frame.from),
+      to: toAddress(frame.to),
+      value: toWei(frame.value),
+      error: error || null
+    };
+    if (isInternalTransfer(row)) rows.push(row);
+
+    (frame.calls || []).forEach((child, index) => visit(child, [...path, index], error));
+  };
+
+  visit(rootFrame, [], null);
+  return rows;
+}
+
+// Flatten trace_block output (OpenEthereum/Erigon/Nethermind format) into internal
+// transfer rows. Traces arrive parents first, so each frame's ancestor errors are
+// already known when it is reached.
+function flattenBlockTraces(traces) {
+  const rows = [];
+  const errors = new Map(); // "<tx hash>:<trace address>" -> error
+
+  for (const trace of traces) {
+    if (!trace.transactionHash || !trace.traceAddress) continue; // block and uncle rewards
+
+    const path = trace.traceAddress;
+    const traceAddress = path.join('.');
+    const parentError = path.length > 0
+      ? errors.get(`${trace.transactionHash}:${path.slice(0, -1).join('.')}`)
+      : null;
+    const error = trace.error || parentError || null;
+    errors.set(`${trace.transactionHash}:${traceAddress}`, error);
+
+    const action = trace.action || {};
+    let callType, from, to, value;
+    if (trace.type === 'call') {
+      callType = (action.callType || 'call').toUpperCase();
+      ({ from, to, value } = action);
+    } else if (trace.type === 'create') {
+      callType = (action.creationMethod || 'create').toUpperCase();
+      from = action.from;
+      to = trace.result ? trace.result.address : null;
+      value = action.value;
+    } else if (trace.type === 'suicide') {
+      callType = SELFDESTRUCT;
+      from = action.address;
+      to = action.refundAddress;
+      value = action.balance;
+    } else {
+      continue;
+    }
+
+    const row = {
+      transactionHash: trace.transactionHash,
+      traceAddress,
+      blockNumber: trace.blockNumber,
+      depth: path.length,
+      callType,
+      from: toAddress(from),
+      to: toAddress(to),
+      value: toWei(value),
+      error
+    };
+    if (isInternalTransfer(row)) rows.push(row);
+  }
+
+  return rows;
+}
+
+module.exports = {
+  flattenCallTrace,
+  flattenBlockTraces
+};
@@ -621,9 +621,9 @@ function App() {
       const res = await fetch(`${config.API_BASE_URL}/balance/${address}`);
       const result = await res.json();
       if (result.balance) {
-        // Update the points array with the fetched balance
+        // Update the points array with the fetched balance and ENS name
         setPoints(prev => prev.map(p => 
-          p.address === address ? { ...p, balance: result.balance } : p
+          p.address === address ? { ...p, balance: result.balance, name: result.name || null } : p
         ));
         return result.balance;
       }
@@ -645,7 +645,7 @@ function App() {
       if (result && result.value) {
         // Update the visualized array with the transaction amount
         setVisualized(prev => prev.map(v => 
-          v.hash === hash ? { ...v, amount: result.value } : v
+          v.hash === hash ? { ...v, amount: result.value, amountUsd: result.value_usd } : v
         ));
         return result.value;
       }
@@ -1171,7 +1171,7 @@ function App() {
               if (!selectedAddress) return true;
               return from === selectedAddress || to === selectedAddress;
             })
-            .map(({ fromPos, toPos, hash, from, to, amount }) => {
+            .map(({ fromPos, toPos, hash, from, to, amount, amountUsd }) => {
               // Get colors for from and to addresses
               const fromColor = (points.find(p => p.address === from) || {}).color || '#fff';
               const toColor = (points.find(p => p.address === to) || {}).color || '#fff';
@@ -1194,7 +1194,7 @@ function App() {
                           }
                         }}
                         onPointerOver={e => {
-                          setHoveredTx({ hash, amount });
+                          setHoveredTx({ hash, amount, amountUsd });
                           setTxPopupPos({ x: e.clientX, y: e.clientY });
                         }}
                         onPointerMove={e => {
@@ -1258,6 +1258,12 @@ function App() {
             >
               Address: {hoveredAddress}
             </div>
+            {(() => {
+              const point = points.find(p => p.address === hoveredAddress);
+              return point && point.name ? (
+                <div style={{ color: '#4fd1c5', marginBottom: 4 }}>ENS: {point.name}</div>
+              ) : null;
+            })()}
             <div style={{ fontSize: 12, color: '#aaa', marginBottom: 6 }}>
               Cmd+Click (Mac) or Ctrl+Click (Win/Linux) the node to open in Etherscan
             </div>
@@ -1303,7 +1309,12 @@ function App() {
                 (() => {
                   if (!hoveredTx.amount) return 'Loading...';
                   if (hoveredTx.amount === 'error') return 'Error loading amount';
-                  if (hoveredTx.amount.hex) return `${formatEther(BigInt(hoveredTx.amount.hex))} ETH`;
+                  if (hoveredTx.amount.hex) {
+                    const eth = `${formatEther(BigInt(hoveredTx.amount.hex))} ETH`;
+                    return hoveredTx.amountUsd != null
+                      ? `${eth} ($${hoveredTx.amountUsd.toLocaleString(undefined, { maximumFractionDigits: 2 })})`
+                      : eth;
+                  }
                   return 'N/A';
                 })()
               }